@@ -1,35 +1,155 @@
 import * as BareMux from './matrix/index.mjs'
+import { ERROR_CODES, ShaderError, TransportSetupError } from './shader-errors.js'
+import { ShaderPlugins } from './shader-plugins.js'
+import { ShaderBlocker } from './shader-blocker.js'
+import { ShaderPolicy } from './shader-policy.js'
+import { ShaderTransport } from './shader-transport.js'
+import { ShaderUserscripts } from './shader-userscripts.js'
+import './shader-htmlstream.js'
 import './shader.bundle.mjs'
 import './shader.config.mjs'
 import './shader.kernel.mjs'
 
 self.BareMux = BareMux
 const uv = new self.UVServiceWorker()
+// Runs the plugins declared in __uv$config.plugins on every proxied request
+new ShaderPlugins(uv)
+const blocker = new ShaderBlocker()
+const policy = new ShaderPolicy()
+const userscripts = new ShaderUserscripts()
 const connection = new BareMux.BareMuxConnection('./matrix/worker.js?raw=true')
+const transport = new ShaderTransport(connection)
+
+// Errors that mean the transport server itself is unreachable. Timeouts are left out: a slow site
+// is not a reason to probe the transport
+const TRANSPORT_FAILURES = [ERROR_CODES.WISP_CONNECT_FAILED]
 
 let transportReady = false
 
-async function setupTransport() {
-  const wispUrl = self.__uv$config.wisp
+/**
+ * Forwards an error to every page controlled by this worker.
+ * @param {ShaderError} error
+ */
+async function broadcastError(error) {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true })
+  clients.forEach((client) => client.postMessage({ msg: 'shaderError', error: error.toJSON() }))
+}
+
+/**
+ * Confirms the active transport config to every page, after a failover or an engine switch.
+ */
+async function broadcastConfig() {
+  const message = ShaderTransport.configMessage('confirm', { config: transport.getConfig() })
+  const clients = await self.clients.matchAll({ includeUncontrolled: true })
+  clients.forEach((client) => client.postMessage(message))
+}
+
+transport.on(ShaderTransport.EVENTS.SWITCH, broadcastConfig)
+transport.on(ShaderTransport.EVENTS.ENGINE_CHANGE, broadcastConfig)
 
+async function setupTransport() {
   try {
-    const transportUrl = new URL('./vector/index.mjs', self.location.href).href
-    await connection.setTransport(transportUrl, [{ wisp: wispUrl }])
-    console.log('[SW] Vector transport configured (Remote):', wispUrl)
+    const endpoint = await transport.start()
+    console.debug(`[SW] ${transport.engine} transport configured:`, endpoint ? endpoint.url : '(resumed)')
     transportReady = true
   } catch (err) {
     console.error('[SW] Failed to set Wisp transport:', err)
+    broadcastError(
+      err instanceof ShaderError
+        ? err
+        : new TransportSetupError(`Failed to set Wisp transport: ${err.message}`, { cause: err })
+    )
   }
 }
 
 const transportPromise = setupTransport()
 
+// Filter lists are parsed on every worker start; requests wait for them so none slips through
+let blockerPromise = blocker
+  .load()
+  .then(({ network, cosmetic }) => {
+    if (network || cosmetic) console.debug(`[SW] Blocker loaded ${network} network and ${cosmetic} cosmetic filters`)
+    uv.blocker = blocker
+  })
+  .catch((err) => console.error('[SW] Failed to load the blocker:', err))
+
+// The policy is read once per worker start; until then requests wait, since it may deny them
+const policyPromise = policy.load().then(() => {
+  if (policy.policy) console.debug(`[SW] Policy loaded with ${policy.rules.length} rules`)
+  uv.policy = policy
+})
+
+// Enabled userscripts are read on start and whenever a page changes them (see ShaderUserscripts#install)
+let userscriptsPromise = userscripts
+  .load()
+  .then(() => (uv.userscripts = userscripts))
+  .catch((err) => console.error('[SW] Failed to load userscripts:', err))
+
+// Pages never configure the transport themselves; they ask this worker and follow its answer
+self.addEventListener('message', (event) => {
+  const data = event.data
+  if (data && data.msg === 'transportConfig' && data.type === 'request' && event.ports[0]) {
+    event.waitUntil(
+      transportPromise
+        .then(() => transport.handleConfigMessage(data))
+        .then((reply) => event.ports[0].postMessage(reply))
+    )
+  }
+
+  // Private surfaces' cookies, held in this worker's memory and mirrored to the embedding page (see ShaderCanvas).
+  // Only the surface's own pages may use its jar, and cookies are set for the URL of the page that wrote them
+  if (data && (data.msg === 'privateCookie' || data.msg === 'privateCookies')) {
+    const source = uv.proxiedSource(event.source)
+    if (!source || !source.scope.private || source.scope.private !== data.id) return
+    if (data.msg === 'privateCookie') {
+      event.waitUntil(uv.setPrivateCookie(data.id, data.value, source.url, data.context))
+    } else if (event.ports[0]) {
+      event.waitUntil(uv.getPrivateCookies(data.id).then((cookies) => event.ports[0].postMessage(cookies)))
+    }
+  }
+  if (data && data.msg === 'closePrivate') {
+    uv.clearPrivate(data.id)
+  }
+
+  // A page edited the blocker allowlist (see ShaderBlocker#allow)
+  if (data && data.msg === 'blockerAllowlist') {
+    blockerPromise = blockerPromise.then(() => blocker.loadAllowlist())
+    event.waitUntil(blockerPromise)
+  }
+
+  // The userscript manager changed the scripts, or a userscript called GM_setValue
+  if (data && data.msg === 'userscripts') {
+    userscriptsPromise = userscriptsPromise
+      .then(() => userscripts.load())
+      .catch((err) => console.error('[SW] Failed to reload userscripts:', err))
+    event.waitUntil(userscriptsPromise)
+  }
+  if (data && data.msg === 'userscriptValue' && typeof data.id === 'string' && typeof data.key === 'string') {
+    // Only pages the script runs on may write its values
+    const source = uv.proxiedSource(event.source)
+    if (source) {
+      event.waitUntil(
+        userscriptsPromise.then(() => {
+          if (userscripts.match(source.url).some((script) => script.id === data.id)) {
+            return userscripts.setValue(data.id, data.key, data.value)
+          }
+        })
+      )
+    }
+  }
+})
+
 self.addEventListener('fetch', (event) => {
   if (event.request.url.startsWith(location.origin + self.__uv$config.prefix)) {
     event.respondWith(
       (async () => {
-        await transportPromise
-        return await uv.fetch(event)
+        await Promise.all([transportPromise, blockerPromise, policyPromise, userscriptsPromise])
+        const response = await uv.fetch(event)
+        if (TRANSPORT_FAILURES.includes(response.headers.get('x-shader-error'))) {
+          // Checked in the background; the next request uses the new endpoint
+          transport.reportFailure()
+        }
+        return response
       })()
     )
   }
@@ -0,0 +1,644 @@
+/**
+ * ShaderBlocker - Ad and tracker blocker
+ *
+ * Parses EasyList / uBlock Origin style filter lists. Network filters are checked by
+ * the kernel (shader.kernel.mjs) before a request reaches the transport; element hiding
+ * (cosmetic) filters are injected as a stylesheet into proxied HTML documents.
+ *
+ * The allowlist is kept in IndexedDB so pages can edit it while the Service Worker reads
+ * it: sites on the allowlist are neither filtered nor hidden.
+ */
+class ShaderBlocker {
+  /**
+   * Available events that can be subscribed to.
+   * @readonly
+   */
+  static get EVENTS() {
+    return {
+      LOADED: 'loaded',
+      ALLOWLIST_CHANGE: 'allowlistChange',
+    }
+  }
+
+  /**
+   * Filter resource types by request destination. Fetch, XHR and beacons have no destination.
+   * @readonly
+   */
+  static get TYPES() {
+    return {
+      '': 'xmlhttprequest',
+      document: 'document',
+      iframe: 'subdocument',
+      frame: 'subdocument',
+      script: 'script',
+      style: 'stylesheet',
+      image: 'image',
+      font: 'font',
+      audio: 'media',
+      video: 'media',
+      track: 'media',
+      object: 'object',
+      embed: 'object',
+    }
+  }
+
+  /**
+   * @typedef {Object} ShaderFilter
+   * @property {string} text - The filter as written in its list.
+   * @property {RegExp} regex - Compiled URL pattern.
+   * @property {boolean} exception - Whether this is an `@@` exception filter.
+   * @property {boolean} important - Whether the filter overrides exceptions.
+   * @property {Set<string>|null} types - Resource types the filter applies to (null for all but documents).
+   * @property {Set<string>|null} notTypes - Resource types excluded with `~type`.
+   * @property {boolean|null} thirdParty - Required party, if any.
+   * @property {{include: string[], exclude: string[]}|null} domains - The `domain=` option.
+   */
+
+  /**
+   * Creates an instance of ShaderBlocker.
+   * @param {Object} [options={}] - Configuration options (defaults to `__uv$config.blocker`).
+   * @param {boolean} [options.enabled=true] - Whether requests are filtered at all.
+   * @param {string[]} [options.lists=[]] - URLs of the filter lists, fetched by load().
+   * @param {string[]} [options.allowlist=[]] - Sites that are never filtered, in addition to the stored allowlist.
+   * @param {boolean} [options.genericHiding=false] - Also inject element hiding rules that apply to every site.
+   * @param {string} [options.dbName='shader_blocker'] - IndexedDB database of the allowlist.
+   */
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      lists: [],
+      allowlist: [],
+      genericHiding: false,
+      dbName: 'shader_blocker',
+      ...((self.__uv$config && self.__uv$config.blocker) || {}),
+      ...options,
+    }
+
+    this.listeners = {}
+    this._db = null
+    this._allowlist = new Set()
+    this._reset()
+  }
+
+  /**
+   * Fetches and parses the filter lists, and reads the allowlist.
+   * A list that fails to load is skipped.
+   * @returns {Promise<{network: number, cosmetic: number}>} The number of filters loaded.
+   * @emits loaded
+   */
+  async load() {
+    this._reset()
+
+    const [texts] = await Promise.all([
+      Promise.all(
+        this.options.lists.map(async (url) => {
+          try {
+            const response = await fetch(url)
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`)
+            return await response.text()
+          } catch (e) {
+            console.warn(`Failed to load filter list ${url}:`, e)
+            return ''
+          }
+        })
+      ),
+      this.loadAllowlist(),
+    ])
+
+    texts.forEach((text) => this.parse(text))
+    this.emit(ShaderBlocker.EVENTS.LOADED, { ...this.stats })
+    return { ...this.stats }
+  }
+
+  /**
+   * Adds the filters of a list.
+   * Unsupported filters (scriptlets, procedural cosmetics, redirects, ...) are skipped.
+   * @param {string} text - Filter list text.
+   * @returns {number} The number of filters added.
+   */
+  parse(text) {
+    let added = 0
+    for (let line of text.split(/\r?\n/)) {
+      line = line.trim()
+      if (!line || line.startsWith('!') || line.startsWith('[')) continue
+
+      const cosmetic = line.match(/^([\w.*~,-]*)#(@?)([?$%]?)#(.+)$/)
+      if (cosmetic) {
+        if (!cosmetic[3] && this._addCosmetic(cosmetic[1], cosmetic[4], !!cosmetic[2])) added++
+        continue
+      }
+
+      const filter = this._compile(line)
+      if (filter) {
+        this._index(filter)
+        added++
+      }
+    }
+    return added
+  }
+
+  /**
+   * Finds the filter blocking a request.
+   * @param {URL|string} url - The proxied (decoded) URL.
+   * @param {Object} [context={}] - Request context.
+   * @param {string} [context.destination=''] - The request destination.
+   * @param {URL|string} [context.initiator] - URL of the page that made the request.
+   * @returns {ShaderFilter|null} The blocking filter, or null when the request is allowed.
+   */
+  match(url, { destination = '', initiator = null } = {}) {
+    if (!this.options.enabled) return null
+    url = this._url(url)
+    if (!/^(https?|wss?):$/.test(url.protocol)) return null
+
+    const type = ShaderBlocker.TYPES[destination] || 'other'
+    let source = null
+    try {
+      source = type === 'document' ? url : initiator ? this._url(initiator) : null
+    } catch (e) {}
+    if (source && (this.isAllowed(source.hostname) || this._pageExceptions(source).document)) return null
+
+    const request = {
+      href: url.href,
+      type,
+      thirdParty: !!source && this._site(url.hostname) !== this._site(source.hostname),
+      source: source && source.hostname,
+    }
+    const tokens = this._tokens(url.href)
+
+    const filter = this._find(this._block, tokens, request)
+    if (!filter || filter.important) return filter
+    return this._find(this._allow, tokens, request) ? null : filter
+  }
+
+  /**
+   * Returns the element hiding stylesheet of a page.
+   * @param {URL|string} url - The proxied (decoded) page URL.
+   * @returns {string} CSS text, empty when nothing is hidden.
+   */
+  cosmetic(url) {
+    if (!this.options.enabled) return ''
+    url = this._url(url)
+    const host = url.hostname
+    if (this.isAllowed(host)) return ''
+
+    const exceptions = this._pageExceptions(url)
+    if (exceptions.document || exceptions.elemhide) return ''
+    const generic = this.options.genericHiding && !exceptions.generichide
+
+    const selectors = new Set()
+    for (const domain of [...this._suffixes(host), ...this._entities(host)]) {
+      for (const rule of this._hide.get(domain) || []) {
+        if (!rule.exclude.some((d) => this._domainMatch(host, d))) selectors.add(rule.selector)
+      }
+    }
+    if (generic) {
+      for (const rule of this._genericHide) {
+        if (!rule.exclude.some((d) => this._domainMatch(host, d))) selectors.add(rule.selector)
+      }
+    }
+    for (const rule of this._unhide) {
+      if (!rule.include.length || rule.include.some((d) => this._domainMatch(host, d))) selectors.delete(rule.selector)
+    }
+
+    // One rule per selector: an invalid selector only drops its own rule
+    return Array.from(selectors, (selector) => `${selector} { display: none !important; }`).join('\n')
+  }
+
+  /**
+   * Whether a site is on the allowlist (the site itself or a parent domain).
+   * @param {string} host - The hostname.
+   * @returns {boolean}
+   */
+  isAllowed(host) {
+    return this._suffixes(host).some((domain) => this._allowlist.has(domain) || this.options.allowlist.includes(domain))
+  }
+
+  /**
+   * Returns the stored allowlist.
+   * @returns {Promise<string[]>} The allowed hostnames, sorted.
+   */
+  async getAllowlist() {
+    const entries = await this._transaction('readonly', (store) => store.getAll())
+    return entries.map((entry) => entry.host).sort()
+  }
+
+  /**
+   * Re-reads the stored allowlist (after a page changed it).
+   * @returns {Promise<void>}
+   */
+  async loadAllowlist() {
+    try {
+      this._allowlist = new Set(await this.getAllowlist())
+    } catch (e) {
+      console.warn('Failed to read the blocker allowlist:', e)
+    }
+  }
+
+  /**
+   * Stops filtering a site.
+   * @param {string} host - The hostname.
+   * @returns {Promise<void>}
+   * @emits allowlistChange
+   */
+  async allow(host) {
+    host = host.toLowerCase()
+    await this._transaction('readwrite', (store) => store.put({ host, added: Date.now() }))
+    this._allowlist.add(host)
+    this._allowlistChanged()
+  }
+
+  /**
+   * Filters a site again.
+   * @param {string} host - The hostname.
+   * @returns {Promise<void>}
+   * @emits allowlistChange
+   */
+  async disallow(host) {
+    host = host.toLowerCase()
+    await this._transaction('readwrite', (store) => store.delete(host))
+    this._allowlist.delete(host)
+    this._allowlistChanged()
+  }
+
+  /**
+   * Clears every loaded filter.
+   * @private
+   */
+  _reset() {
+    this._block = new Map()
+    this._allow = new Map()
+    this._hide = new Map()
+    this._genericHide = []
+    this._unhide = []
+    this._pages = []
+    this.stats = { network: 0, cosmetic: 0 }
+  }
+
+  /**
+   * Adds an element hiding rule (`domains##selector`) or exception (`domains#@#selector`).
+   * @private
+   * @returns {boolean} Whether the rule is supported.
+   */
+  _addCosmetic(domains, selector, exception) {
+    // Scriptlets, HTML filters and procedural operators need more than a stylesheet
+    if (/^(\+js|\^)|:(-abp-|has-text|matches-|xpath|upward|remove|style|min-text-length|watch-attr|others)/.test(selector)) {
+      return false
+    }
+
+    const list = domains ? domains.toLowerCase().split(',').filter(Boolean) : []
+    const include = list.filter((d) => !d.startsWith('~'))
+    const exclude = list.filter((d) => d.startsWith('~')).map((d) => d.slice(1))
+
+    if (exception) {
+      this._unhide.push({ selector, include })
+    } else if (include.length) {
+      include.forEach((domain) => {
+        if (!this._hide.has(domain)) this._hide.set(domain, [])
+        this._hide.get(domain).push({ selector, exclude })
+      })
+    } else {
+      this._genericHide.push({ selector, exclude })
+    }
+    this.stats.cosmetic++
+    return true
+  }
+
+  /**
+   * Compiles a network filter.
+   * @private
+   * @param {string} text - The filter text.
+   * @returns {ShaderFilter|null} The filter, or null when it is not supported.
+   */
+  _compile(text) {
+    const filter = {
+      text,
+      exception: text.startsWith('@@'),
+      important: false,
+      types: null,
+      notTypes: null,
+      thirdParty: null,
+      domains: null,
+    }
+    let pattern = filter.exception ? text.slice(2) : text
+    let matchCase = false
+
+    const options = pattern.match(/^(.*?)\$(~?[\w-]+(?:=[^,]*)?(?:,~?[\w-]+(?:=[^,]*)?)*)$/)
+    if (options) {
+      pattern = options[1]
+      for (const option of options[2].split(',')) {
+        const [name, value] = option.split('=')
+        const negated = name.startsWith('~')
+        const key = OPTION_ALIASES[negated ? name.slice(1) : name] || (negated ? name.slice(1) : name)
+
+        if (FILTER_TYPES.includes(key) || key === 'document') {
+          const set = negated ? (filter.notTypes ||= new Set()) : (filter.types ||= new Set())
+          set.add(key)
+        } else if (key === 'third-party' || key === 'first-party') {
+          filter.thirdParty = (key === 'third-party') !== negated
+        } else if (key === 'domain' && value) {
+          const list = value.toLowerCase().split('|').filter(Boolean)
+          filter.domains = {
+            include: list.filter((d) => !d.startsWith('~')),
+            exclude: list.filter((d) => d.startsWith('~')).map((d) => d.slice(1)),
+          }
+        } else if (key === 'important') {
+          filter.important = true
+        } else if (key === 'match-case') {
+          matchCase = true
+        } else if (key === 'all') {
+          filter.types = new Set([...FILTER_TYPES, 'document'])
+        } else if (filter.exception && (key === 'elemhide' || key === 'generichide')) {
+          filter[key] = true
+        } else {
+          // redirect, csp, removeparam, popup, ...
+          return null
+        }
+      }
+    }
+
+    if (!pattern || pattern === '*') {
+      if (!filter.types && !filter.domains) return null
+      pattern = '*'
+    }
+
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+      try {
+        filter.regex = new RegExp(pattern.slice(1, -1), matchCase ? '' : 'i')
+      } catch (e) {
+        return null
+      }
+      filter.token = ''
+    } else {
+      filter.regex = new RegExp(this._patternSource(pattern), matchCase ? '' : 'i')
+      filter.token = this._patternToken(pattern)
+    }
+
+    this.stats.network++
+    return filter
+  }
+
+  /**
+   * Converts a filter pattern (`||host^`, `|`, `*`, `^`) to a RegExp source.
+   * @private
+   */
+  _patternSource(pattern) {
+    let start = ''
+    let end = ''
+    if (pattern.startsWith('||')) {
+      start = '^[a-z-]+:\\/\\/(?:[^\\/?#]+\\.)?'
+      pattern = pattern.slice(2)
+    } else if (pattern.startsWith('|')) {
+      start = '^'
+      pattern = pattern.slice(1)
+    }
+    if (pattern.endsWith('|')) {
+      end = '$'
+      pattern = pattern.slice(0, -1)
+    }
+
+    const body = pattern
+      .replace(/[.+?${}()[\]\\|/]/g, '\\$&')
+      .replace(/\*+/g, '.*')
+      .replace(/\^/g, '(?:[^\\w.%-]|$)')
+    return start + body + end
+  }
+
+  /**
+   * Picks the longest token of a pattern that must appear whole in matching URLs.
+   * @private
+   * @returns {string} The token, or '' when there is none.
+   */
+  _patternToken(pattern) {
+    const anchoredStart = pattern.startsWith('|')
+    const anchoredEnd = pattern.endsWith('|') || pattern.endsWith('^')
+    const body = pattern.replace(/^\|\|?/, '').replace(/\|$/, '').toLowerCase()
+
+    let best = ''
+    for (const match of body.matchAll(/[a-z0-9%]{2,}/g)) {
+      const before = body[match.index - 1]
+      const after = body[match.index + match[0].length]
+      const wholeStart = before === undefined ? anchoredStart : before !== '*'
+      const wholeEnd = after === undefined ? anchoredEnd : after !== '*'
+      if (wholeStart && wholeEnd && match[0].length > best.length) best = match[0]
+    }
+    return best
+  }
+
+  /**
+   * Adds a compiled filter to the block or exception index.
+   * @private
+   */
+  _index(filter) {
+    // Page-wide exceptions are checked against the page, not its requests
+    if (filter.exception && (filter.elemhide || filter.generichide || (filter.types && filter.types.has('document')))) {
+      this._pages.push(filter)
+      if (!filter.types || filter.types.size === 1) return
+    }
+
+    const index = filter.exception ? this._allow : this._block
+    if (!index.has(filter.token)) index.set(filter.token, [])
+    index.get(filter.token).push(filter)
+  }
+
+  /**
+   * Returns the first filter of an index matching a request (important filters first).
+   * @private
+   */
+  _find(index, tokens, request) {
+    let found = null
+    for (const token of tokens) {
+      for (const filter of index.get(token) || []) {
+        if (!this._test(filter, request)) continue
+        if (filter.important) return filter
+        found ||= filter
+      }
+    }
+    return found
+  }
+
+  /**
+   * Page-wide exceptions (`@@||site^$document`, `$elemhide`, `$generichide`) matching a page.
+   * @private
+   * @returns {{document: boolean, elemhide: boolean, generichide: boolean}}
+   */
+  _pageExceptions(url) {
+    const result = { document: false, elemhide: false, generichide: false }
+    for (const filter of this._pages) {
+      if (!this._domainsMatch(filter, url.hostname) || !filter.regex.test(url.href)) continue
+      if (filter.elemhide) result.elemhide = true
+      if (filter.generichide) result.generichide = true
+      if (filter.types && filter.types.has('document')) result.document = true
+    }
+    return result
+  }
+
+  /**
+   * Tests a filter's options and pattern against a request.
+   * @private
+   */
+  _test(filter, request) {
+    if (filter.types ? !filter.types.has(request.type) : request.type === 'document') return false
+    if (filter.notTypes && filter.notTypes.has(request.type)) return false
+    if (filter.thirdParty !== null && filter.thirdParty !== request.thirdParty) return false
+    return this._domainsMatch(filter, request.source) && filter.regex.test(request.href)
+  }
+
+  /**
+   * Tests the `domain=` option of a filter against the requesting page.
+   * @private
+   */
+  _domainsMatch(filter, source) {
+    if (!filter.domains) return true
+    const { include, exclude } = filter.domains
+    if (include.length && !(source && include.some((d) => this._domainMatch(source, d)))) return false
+    return !(source && exclude.some((d) => this._domainMatch(source, d)))
+  }
+
+  /**
+   * Tokens of a URL, for the index lookup (always includes the '' bucket).
+   * @private
+   */
+  _tokens(href) {
+    return new Set(['', ...(href.toLowerCase().match(/[a-z0-9%]{2,}/g) || [])])
+  }
+
+  /**
+   * Parses a URL, dropping a trailing dot from its hostname: `example.com.` is the same site as `example.com`.
+   * @private
+   * @returns {URL}
+   */
+  _url(value) {
+    const url = new URL(value)
+    if (url.hostname.endsWith('.')) url.hostname = url.hostname.slice(0, -1)
+    return url
+  }
+
+  /**
+   * Whether a hostname is a domain or one of its subdomains. `example.*` matches any public suffix.
+   * @private
+   */
+  _domainMatch(host, domain) {
+    if (domain.endsWith('.*')) return ('.' + host).includes('.' + domain.slice(0, -1))
+    return host === domain || host.endsWith('.' + domain)
+  }
+
+  /**
+   * A hostname and its parent domains (`a.b.com`, `b.com`, `com`).
+   * @private
+   */
+  _suffixes(host) {
+    const labels = host.toLowerCase().split('.')
+    return labels.map((_, i) => labels.slice(i).join('.'))
+  }
+
+  /**
+   * The `name.*` entities a hostname matches (`a.b.*`, `a.*`, `b.*` for `a.b.com`), see _domainMatch().
+   * @private
+   */
+  _entities(host) {
+    const labels = host.toLowerCase().split('.')
+    const entities = []
+    for (let i = 0; i < labels.length - 1; i++) {
+      for (let j = i + 1; j < labels.length; j++) entities.push(labels.slice(i, j).join('.') + '.*')
+    }
+    return entities
+  }
+
+  /**
+   * Registrable domain of a hostname, used to tell third-party requests apart
+   * (same heuristic as the cookie jar's site).
+   * @private
+   */
+  _site(host) {
+    const labels = host.split('.')
+    const n =
+      labels.length < 3 || /^\d+$/.test(labels[labels.length - 1])
+        ? labels.length
+        : labels[labels.length - 1].length === 2 && /^(ac|co|com|edu|go|gov|ne|net|or|org)$/.test(labels[labels.length - 2])
+        ? 3
+        : 2
+    return labels.slice(-n).join('.')
+  }
+
+  /**
+   * Tells the Service Worker (when called from a page) and listeners that the allowlist changed.
+   * @private
+   */
+  _allowlistChanged() {
+    const worker = self.navigator.serviceWorker && self.navigator.serviceWorker.controller
+    if (worker) worker.postMessage({ msg: 'blockerAllowlist' })
+    this.emit(ShaderBlocker.EVENTS.ALLOWLIST_CHANGE, Array.from(this._allowlist))
+  }
+
+  /**
+   * Opens (and upgrades, if needed) the allowlist database.
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (this._db) return this._db
+
+    this._db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore('allowlist', { keyPath: 'host' })
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // A failed open is retried on the next call
+    this._db.catch(() => (this._db = null))
+
+    return this._db
+  }
+
+  /**
+   * Runs a single request against the allowlist store.
+   * @private
+   */
+  async _transaction(mode, fn) {
+    const db = await this._open()
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction('allowlist', mode).objectStore('allowlist'))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - The name of the event (use ShaderBlocker.EVENTS).
+   * @param {function} callback - The function to call when the event is emitted.
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(callback)
+  }
+
+  /**
+   * Emits an event to registered listeners.
+   * @private
+   * @param {string} event - The name of the event.
+   * @param {*} data - The data to pass to listeners.
+   */
+  emit(event, data) {
+    if (!this.listeners[event]) return
+    this.listeners[event].forEach((callback) => callback(data))
+  }
+}
+
+// Resource type options of network filters
+const FILTER_TYPES = ['script', 'image', 'stylesheet', 'object', 'xmlhttprequest', 'subdocument', 'font', 'media', 'websocket', 'ping', 'other']
+
+const OPTION_ALIASES = {
+  css: 'stylesheet',
+  xhr: 'xmlhttprequest',
+  frame: 'subdocument',
+  doc: 'document',
+  '3p': 'third-party',
+  '1p': 'first-party',
+  ehide: 'elemhide',
+  ghide: 'generichide',
+  from: 'domain',
+}
+
+self.ShaderBlocker = ShaderBlocker
+export { ShaderBlocker }
@@ -23,32 +23,66 @@ class ShaderCanvas {
       STATUS_CHANGE: 'statusChange',
       LOADING_START: 'loadingStart',
       LOADING_STOP: 'loadingStop',
+      HISTORY_CHANGE: 'historyChange',
+      BLOCKED: 'blocked',
     }
   }
 
   /**
    * Creates an instance of ShaderCanvas.
    * @param {string|HTMLElement} containerId - The container element.
+   * @param {Object} [options={}] - Canvas options.
+   * @param {string} [options.sessionKey='shader_canvas_session'] - localStorage key used for the saved session.
+   * @param {boolean} [options.persistSession=true] - Whether surface changes are saved automatically.
    */
-  constructor(containerId) {
+  constructor(containerId, options = {}) {
     this.container = typeof containerId === 'string' 
       ? document.getElementById(containerId) 
       : containerId;
     
     if (!this.container) throw new Error('Container element not found');
 
+    this.options = {
+      sessionKey: 'shader_canvas_session',
+      persistSession: true,
+      ...options
+    };
+
     this.surfaces = new Map(); // id -> { id, client, iframe }
     this.activeSurfaceId = null;
     this.listeners = {};
+    this._restoring = false;
+
+    if (this.options.persistSession) {
+      // ShaderClient may force a reload once the Service Worker takes control
+      window.addEventListener('beforeunload', () => this.saveSession());
+    }
+
+    // Private surfaces' cookie jars are kept here, so they survive the Service Worker being stopped
+    if (navigator.serviceWorker) {
+      navigator.serviceWorker.addEventListener('message', (event) => this._handlePrivateJar(event));
+    }
   }
 
   /**
    * Creates a new browsing surface (tab).
    * @param {string} [url='about:blank'] - Initial URL.
+   * @param {Object} [options={}] - Surface options.
+   * @param {boolean} [options.lazy=false] - Defer loading until the surface is first activated.
+   * @param {string} [options.id] - Reuse a known surface ID (used when restoring a session).
+   * @param {string} [options.title] - Initial tab title.
+   * @param {string} [options.favicon] - Initial tab favicon.
+   * @param {string} [options.userAgent] - User-Agent profile ID (see `__uv$config.userAgents`). Defaults to the browser's own.
+   * @param {string} [options.container] - Cookie/storage container name. Surfaces in the same container share site data.
+   * @param {boolean} [options.private=false] - Keep cookies and storage in this page's memory and wipe them when the surface is closed.
+   *   IndexedDB is not available to private surfaces. Private surfaces are not saved in the session.
+   * @param {Object<string, boolean>} [options.plugins] - Per-plugin overrides (see `__uv$config.plugins`), by plugin name.
    * @returns {string} The ID of the new surface.
    */
-  createSurface(url = 'about:blank') {
-    const id = 'surface-' + Math.random().toString(36).substr(2, 9);
+  createSurface(url = 'about:blank', options = {}) {
+    const id = options.id && !this.surfaces.has(options.id)
+      ? options.id
+      : 'surface-' + Math.random().toString(36).substr(2, 9);
     
     // Create iframe
     const iframe = document.createElement('iframe');
@@ -62,7 +96,19 @@ class ShaderCanvas {
     this.container.appendChild(iframe);
 
     // Initialize Client
-    const client = new ShaderClient({ frame: iframe });
+    const scope = {};
+    if (options.userAgent) scope.ua = options.userAgent;
+    if (options.private) scope.private = id;
+    else if (options.container) scope.container = options.container;
+    const plugins = { ...options.plugins };
+    Object.entries(plugins).forEach(([name, enabled]) => {
+      scope['plugin_' + name] = enabled ? '1' : '0';
+    });
+
+    const client = new ShaderClient({
+      frame: iframe,
+      scope
+    });
     
     // Proxy events from the active client to the canvas
     this._bindSurfaceEvents(id, client);
@@ -71,23 +117,29 @@ class ShaderCanvas {
       id,
       iframe,
       client,
-      title: 'New Tab',
-      favicon: ''
+      url,
+      title: options.title || 'New Tab',
+      favicon: options.favicon || '',
+      userAgent: options.userAgent || null,
+      container: options.private ? null : options.container || null,
+      private: !!options.private,
+      plugins,
+      blocked: 0,
+      loaded: false
     };
 
     this.surfaces.set(id, surface);
     
-    // Initialize the client
-    client.init().then(() => {
-        if (url && url !== 'about:blank') {
-            client.navigate(url);
-        }
-    });
+    // Lazy surfaces are initialized on first activation
+    if (!options.lazy) {
+      this._loadSurface(surface);
+    }
 
     this.emit(ShaderCanvas.EVENTS.SURFACE_CREATED, surface);
+    this._persist();
 
     // Auto-switch if it's the first one
-    if (this.surfaces.size === 1) {
+    if (this.surfaces.size === 1 && !this._restoring) {
       this.switchSurface(id);
     }
 
@@ -111,7 +163,12 @@ class ShaderCanvas {
     surface.iframe.style.display = 'block';
     this.activeSurfaceId = id;
 
+    if (!surface.loaded) {
+      this._loadSurface(surface);
+    }
+
     this.emit(ShaderCanvas.EVENTS.SURFACE_CHANGE, surface);
+    this._persist();
     
     // Re-emit state for UI updates
     const state = surface.client.getState();
@@ -123,6 +180,8 @@ class ShaderCanvas {
     } else {
         this.emit(ShaderCanvas.EVENTS.LOADING_STOP);
     }
+
+    this.emit(ShaderCanvas.EVENTS.HISTORY_CHANGE, surface.client.getHistory());
   }
 
   /**
@@ -135,10 +194,14 @@ class ShaderCanvas {
     const surface = this.surfaces.get(id);
     
     // Cleanup DOM
+    surface.client.destroy();
     surface.iframe.remove();
     this.surfaces.delete(id);
 
+    if (surface.private) this._wipePrivate(id);
+
     this.emit(ShaderCanvas.EVENTS.SURFACE_CLOSED, id);
+    this._persist();
 
     // Switch to another tab if we closed the active one
     if (this.activeSurfaceId === id) {
@@ -168,10 +231,204 @@ class ShaderCanvas {
     }
   }
 
+  /**
+   * Changes the User-Agent profile of a surface and reloads its page.
+   * @param {string} id - The surface ID.
+   * @param {string|null} profile - A profile ID from `__uv$config.userAgents`, or null for the browser's own.
+   */
+  setSurfaceUserAgent(id, profile) {
+    const surface = this.surfaces.get(id);
+    if (!surface) return;
+
+    surface.client.setUserAgent(profile);
+    surface.userAgent = profile || null;
+    this._persist();
+    this.emit(ShaderCanvas.EVENTS.SURFACE_UPDATE, surface);
+  }
+
+  /**
+   * Moves a surface into another cookie/storage container and reloads its page.
+   * @param {string} id - The surface ID.
+   * @param {string|null} name - The container name, or null for the default container.
+   */
+  setSurfaceContainer(id, name) {
+    const surface = this.surfaces.get(id);
+    if (!surface) return;
+
+    surface.client.setContainer(name);
+    surface.container = name || null;
+    this._persist();
+    this.emit(ShaderCanvas.EVENTS.SURFACE_UPDATE, surface);
+  }
+
+  /**
+   * Enables or disables a Service Worker plugin on a surface and reloads its page.
+   * @param {string} id - The surface ID.
+   * @param {string} name - The plugin name.
+   * @param {boolean|null} enabled - Whether the plugin runs, or null for the plugin's default.
+   */
+  setSurfacePlugin(id, name, enabled) {
+    const surface = this.surfaces.get(id);
+    if (!surface) return;
+
+    surface.client.setPluginEnabled(name, enabled);
+    if (enabled == null) delete surface.plugins[name];
+    else surface.plugins[name] = !!enabled;
+    this._persist();
+    this.emit(ShaderCanvas.EVENTS.SURFACE_UPDATE, surface);
+  }
+
+  /**
+   * Returns the names of the containers used by open surfaces.
+   * @returns {string[]}
+   */
+  getContainers() {
+    return [...new Set(Array.from(this.surfaces.values()).map(s => s.container).filter(Boolean))];
+  }
+
+  /**
+   * Serializes the open surfaces to localStorage.
+   * @returns {Object} The saved session ({ version, activeId, surfaces }).
+   */
+  saveSession() {
+    const session = {
+      version: 1,
+      activeId: this.activeSurfaceId,
+      surfaces: Array.from(this.surfaces.values()).filter(s => !s.private).map(s => ({
+        id: s.id,
+        url: s.url,
+        title: s.title,
+        favicon: s.favicon,
+        userAgent: s.userAgent,
+        container: s.container,
+        plugins: s.plugins
+      }))
+    };
+
+    try {
+      localStorage.setItem(this.options.sessionKey, JSON.stringify(session));
+    } catch (e) {
+      console.warn('Failed to save ShaderCanvas session:', e);
+    }
+
+    return session;
+  }
+
+  /**
+   * Rebuilds the surfaces from the saved session.
+   * Surfaces are created lazily: only the active one is loaded immediately.
+   * @returns {boolean} Whether any surface was restored.
+   */
+  restoreSession() {
+    let session = null;
+    try {
+      session = JSON.parse(localStorage.getItem(this.options.sessionKey));
+    } catch (e) {
+      console.warn('Failed to read ShaderCanvas session:', e);
+    }
+
+    if (!session || !Array.isArray(session.surfaces) || session.surfaces.length === 0) return false;
+
+    this._restoring = true;
+    try {
+      session.surfaces.forEach(saved => {
+        this.createSurface(saved.url || 'about:blank', {
+          id: saved.id,
+          title: saved.title,
+          favicon: saved.favicon,
+          userAgent: saved.userAgent,
+          container: saved.container,
+          plugins: saved.plugins,
+          lazy: true
+        });
+      });
+    } finally {
+      this._restoring = false;
+    }
+
+    const activeId = this.surfaces.has(session.activeId)
+      ? session.activeId
+      : this.surfaces.keys().next().value;
+    this.switchSurface(activeId);
+
+    return true;
+  }
+
+  /**
+   * Removes the saved session.
+   */
+  clearSession() {
+    localStorage.removeItem(this.options.sessionKey);
+  }
+
   goBack() { this.activeSurface?.client.goBack(); }
   goForward() { this.activeSurface?.client.goForward(); }
+  goTo(index) { this.activeSurface?.client.goTo(index); }
+
+  /**
+   * Returns the navigation history of the active surface.
+   */
+  getHistory() {
+    return this.activeSurface ? this.activeSurface.client.getHistory() : null;
+  }
   reload() { this.activeSurface?.client.reloadFrame(); }
 
+  /**
+   * Initializes a surface's client and loads its URL.
+   * @private
+   */
+  _loadSurface(surface) {
+    const url = surface.url;
+    surface.loaded = true;
+    surface.client.init().then(() => {
+        if (url && url !== 'about:blank') {
+            surface.client.navigate(url);
+        }
+    });
+  }
+
+  /**
+   * Wipes the site data of a closed private surface: storage and cookies held by this page,
+   * and the Service Worker's copy of the cookie jar.
+   * @private
+   */
+  _wipePrivate(id) {
+    if (window.__uv$private) delete window.__uv$private[id];
+
+    const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (worker) worker.postMessage({ msg: 'closePrivate', id });
+  }
+
+  /**
+   * Answers the Service Worker's private cookie jar messages: it asks for a jar after a
+   * restart, and hands over every change.
+   * @private
+   */
+  _handlePrivateJar(event) {
+    const data = event.data;
+    if (!data || data.msg !== 'privateJar') return;
+    const surface = this.surfaces.get(data.id);
+    if (!surface || !surface.private) return;
+
+    const privateData = (window.__uv$private ||= {});
+    const jar = (privateData[data.id] ||= { local: {}, session: {} });
+    if (data.type === 'request' && event.ports[0]) {
+      event.ports[0].postMessage(jar.cookies || []);
+    } else if (data.type === 'update' && Array.isArray(data.cookies)) {
+      jar.cookies = data.cookies;
+    }
+  }
+
+  /**
+   * Saves the session if persistence is enabled.
+   * @private
+   */
+  _persist() {
+    if (this.options.persistSession && !this._restoring) {
+      this.saveSession();
+    }
+  }
+
   /**
    * Internal event binding.
    */
@@ -190,18 +447,26 @@ class ShaderCanvas {
     };
 
     client.on(ShaderClient.EVENTS.NAVIGATING, d => bubble(ShaderCanvas.EVENTS.NAVIGATING, d));
-    client.on(ShaderClient.EVENTS.URL_CHANGE, d => bubble(ShaderCanvas.EVENTS.URL_CHANGE, d));
+    client.on(ShaderClient.EVENTS.URL_CHANGE, d => {
+        const surface = this.surfaces.get(id);
+        // Ignore the initial blank frame until the client is ready to navigate
+        if (surface && client.getState().ready) surface.url = d.decoded;
+        this._persist();
+        bubble(ShaderCanvas.EVENTS.URL_CHANGE, d);
+    });
     
     client.on(ShaderClient.EVENTS.TITLE_CHANGE, d => {
         const surface = this.surfaces.get(id);
-        if (surface) surface.title = d;
+        if (surface && client.getState().ready) surface.title = d;
+        this._persist();
         notifyUpdate();
         bubble(ShaderCanvas.EVENTS.TITLE_CHANGE, d);
     });
 
     client.on(ShaderClient.EVENTS.FAVICON_CHANGE, d => {
         const surface = this.surfaces.get(id);
-        if (surface) surface.favicon = d;
+        if (surface && client.getState().ready) surface.favicon = d;
+        this._persist();
         notifyUpdate();
         bubble(ShaderCanvas.EVENTS.FAVICON_CHANGE, d);
     });
@@ -209,6 +474,8 @@ class ShaderCanvas {
     client.on(ShaderClient.EVENTS.STATUS_CHANGE, d => bubble(ShaderCanvas.EVENTS.STATUS_CHANGE, d));
     
     client.on(ShaderClient.EVENTS.LOADING_START, d => {
+        const surface = this.surfaces.get(id);
+        if (surface) surface.blocked = 0;
         notifyUpdate();
         bubble(ShaderCanvas.EVENTS.LOADING_START, d);
     });
@@ -218,6 +485,15 @@ class ShaderCanvas {
         bubble(ShaderCanvas.EVENTS.LOADING_STOP, d);
     });
 
+    // Requests cancelled by the blocker on the surface's current page
+    client.on(ShaderClient.EVENTS.BLOCKED, d => {
+        const surface = this.surfaces.get(id);
+        if (surface) surface.blocked = d.count;
+        notifyUpdate();
+        bubble(ShaderCanvas.EVENTS.BLOCKED, d);
+    });
+
+    client.on(ShaderClient.EVENTS.HISTORY_CHANGE, d => bubble(ShaderCanvas.EVENTS.HISTORY_CHANGE, d));
     client.on(ShaderClient.EVENTS.READY, d => bubble(ShaderCanvas.EVENTS.READY, d));
     client.on(ShaderClient.EVENTS.ERROR, d => bubble(ShaderCanvas.EVENTS.ERROR, d));
   }
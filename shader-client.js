@@ -1,3 +1,8 @@
+import { ShaderSearchEngines, searchEngines } from './shader-search.js'
+import { BlockedError, ShaderError, ServiceWorkerUnsupportedError, TimeoutError } from './shader-errors.js'
+import { ShaderPolicy } from './shader-policy.js'
+import { ShaderTransport } from './shader-transport.js'
+
 /**
  * ShaderClient - Simplified client
  *
@@ -20,6 +25,9 @@ class ShaderClient {
       STATUS_CHANGE: 'statusChange',
       LOADING_START: 'loadingStart',
       LOADING_STOP: 'loadingStop',
+      HISTORY_CHANGE: 'historyChange',
+      TRANSPORT_SWITCH: 'transportSwitch',
+      BLOCKED: 'blocked',
     }
   }
 
@@ -30,9 +38,17 @@ class ShaderClient {
    * @param {string} [options.uvBundlePath='/shader.bundle.js'] - Path to the Vector bundle.
    * @param {string} [options.uvClientPath='/shader.canvas.js'] - Path to the Vector client script.
    * @param {string} [options.matrixPath='/matrix/index.js'] - Path to the BareMux library.
-   * @param {string} [options.searchEngine='https://duckduckgo.com/?q=%s'] - Default search engine template.
+   * @param {string} [options.searchEngine='https://duckduckgo.com/?q=%s'] - Search template used when the selected engine is not registered.
+   * @param {ShaderSearchEngines} [options.searchEngines] - Search engine registry (defaults to the shared registry).
    * @param {string|HTMLIFrameElement} [options.frame] - The iframe element or ID/selector to manage.
-   * @param {number} [options.timeout=5000] - Initialization timeout in milliseconds.
+   * @param {number} [options.timeout=5000] - Timeout in milliseconds for each attempt of an initialization phase.
+   * @param {number} [options.retries=2] - Number of retries for a failed initialization phase.
+   * @param {number} [options.retryDelay=500] - Base backoff delay in milliseconds, doubled after each retry.
+   * @param {number} [options.pollInterval=500] - Frame polling interval until the injected handler reports changes.
+   * @param {number} [options.fallbackPollInterval=5000] - Frame polling interval once the handler reports changes.
+   * @param {Object} [options.scope={}] - Surface settings carried in every proxied URL of the frame (e.g. `{ ua: 'firefox-desktop' }`).
+   * @param {string} [options.engineKey='shader_transport_engine'] - localStorage key for the selected transport engine.
+   * @param {string} [options.transportOptionsKey='shader_transport_options'] - localStorage key for transport option overrides.
    */
   constructor(options = {}) {
     this.options = {
@@ -43,14 +59,29 @@ class ShaderClient {
       workerPath: 'matrix/worker.js',
       searchEngine: 'https://duckduckgo.com/?q=%s',
       timeout: 5000,
+      retries: 2,
+      retryDelay: 500,
+      pollInterval: 500,
+      fallbackPollInterval: 5000,
+      scope: {},
+      engineKey: 'shader_transport_engine',
+      transportOptionsKey: 'shader_transport_options',
       loadBareMux: true,
       loadVector: true,
+      searchEngines,
       ...options,
     }
 
-    this.engine = 'vector'
-    // Use the name from storage, or fallback to the config if available once init runs
-    this.searchEngine = localStorage.getItem('shader_search_engine') || 'duckduckgo'
+    this.scope = { ...this.options.scope }
+    this.engine = localStorage.getItem(this.options.engineKey) || 'vector'
+    this.searchEngines = this.options.searchEngines
+    this.searchEngine = this.searchEngines.defaultId
+    // Removed in destroy(), the registry outlives the client
+    this._searchEngineHandler = (id) => {
+      this.searchEngine = id
+      this.updateState({ searchEngine: id })
+    }
+    this.searchEngines.on(ShaderSearchEngines.EVENTS.DEFAULT_CHANGE, this._searchEngineHandler)
 
     /**
      * @typedef {Object} ShaderState
@@ -59,8 +90,11 @@ class ShaderClient {
      * @property {boolean} loading - Whether a page is currently loading in the proxied frame.
      * @property {string} engine - Current transport engine (default: 'vector').
      * @property {string} searchEngine - Current search engine identifier.
+     * @property {string|null} wispEndpoint - URL of the Wisp endpoint the transport is using.
      * @property {boolean} computeWorkerRegistered - Whether the service worker is registered.
-     * @property {Error|null} error - Last error encountered, if any.
+     * @property {string|null} error - Message of the last error encountered, if any.
+     * @property {string|null} errorCode - Stable code of the last error (see ERROR_CODES in shader-errors.js).
+     * @property {number} blocked - Requests of the current page cancelled by the blocker (see shader-blocker.js).
      */
     this.state = {
       initialized: false,
@@ -68,13 +102,29 @@ class ShaderClient {
       loading: false,
       engine: this.engine,
       searchEngine: this.searchEngine,
+      wispEndpoint: null,
       computeWorkerRegistered: false,
       error: null,
+      errorCode: null,
+      blocked: 0,
     }
 
     this.listeners = {}
     this.iframe = null
+    this.transport = null
+    this.policy = null
     this._pollingInterval = null
+    this._messageHandler = null
+    this._workerMessageHandler = null
+
+    /**
+     * @typedef {Object} ShaderHistoryEntry
+     * @property {string} url - The decoded URL.
+     * @property {string} title - The page title, once known.
+     */
+    this._history = { entries: [], index: -1 }
+    this._pendingHistoryIndex = null
+    this._lastDocument = null
 
     // Automatically set frame if provided in options
     if (this.options.frame) {
@@ -84,20 +134,177 @@ class ShaderClient {
 
   /**
    * Sets the preferred search engine.
-   * @param {string} engine - The identifier of the search engine (e.g., 'duckduckgo', 'google').
+   * @param {string} engine - The identifier of a registered search engine (e.g., 'duckduckgo', 'google').
    */
   setSearchEngine(engine) {
-    this.searchEngine = engine
-    localStorage.setItem('shader_search_engine', engine)
-    this.updateState({ searchEngine: engine })
+    this.searchEngines.setDefault(engine)
+  }
+
+  /**
+   * Asks the Service Worker to switch the transport engine and persists the choice.
+   * Every client follows the configuration the worker confirms.
+   * @param {string} engine - A registered engine ID (see ShaderTransport.ENGINES), e.g. 'vector', 'libcurl' or 'bare'.
+   * @returns {Promise<void>}
+   * @throws {TransportSetupError} If the engine could not be configured (the previous one is kept).
+   */
+  async setEngine(engine) {
+    if (this.transport) {
+      await this.transport.negotiate(await this._serviceWorker(), { engine })
+    }
+
+    localStorage.setItem(this.options.engineKey, engine)
+    this.engine = engine
+    this.updateState({ engine })
+  }
+
+  /**
+   * Returns the User-Agent profiles defined in `__uv$config.userAgents`.
+   * @returns {Array<{id: string, name: string, userAgent: string}>}
+   */
+  getUserAgents() {
+    const profiles = (window.__uv$config && window.__uv$config.userAgents) || {}
+    return Object.entries(profiles).map(([id, profile]) => ({ id, ...profile, name: profile.name || id }))
+  }
+
+  /**
+   * Selects the User-Agent profile of this client: the `user-agent` header, the Sec-CH-UA
+   * client hints and the `navigator` fields seen by proxied pages. Reloads the current page.
+   * @param {string|null} profile - A profile ID from `__uv$config.userAgents`, or null for the browser's own.
+   */
+  setUserAgent(profile) {
+    if (profile && window.__uv$config && !(window.__uv$config.userAgents || {})[profile]) {
+      throw new Error(`Unknown User-Agent profile: ${profile}`)
+    }
+    this.setScope({ ua: profile })
+  }
+
+  /**
+   * Moves this client into a cookie/storage container. Pages in different containers do not
+   * share cookies, localStorage, sessionStorage or IndexedDB. Reloads the current page.
+   * @param {string|null} name - The container name, or null for the default container.
+   */
+  setContainer(name) {
+    this.setScope({ container: name })
+  }
+
+  /**
+   * Returns the Service Worker plugins declared in `__uv$config.plugins`.
+   * @returns {Array<{name: string, description: string, order: number, enabled: boolean}>}
+   */
+  getPlugins() {
+    const plugins = (window.__uv$config && window.__uv$config.plugins) || []
+    return plugins.map((plugin) => ({
+      name: plugin.name,
+      description: plugin.description || '',
+      order: plugin.order || 0,
+      enabled: this.scope['plugin_' + plugin.name] ? this.scope['plugin_' + plugin.name] === '1' : plugin.enabled !== false,
+    }))
+  }
+
+  /**
+   * Enables or disables a plugin for this client. Reloads the current page.
+   * @param {string} name - The plugin name.
+   * @param {boolean|null} enabled - Whether the plugin runs, or null for the plugin's default.
+   */
+  setPluginEnabled(name, enabled) {
+    this.setScope({ ['plugin_' + name]: enabled == null ? null : enabled ? '1' : '0' })
+  }
+
+  /**
+   * Updates the surface settings carried in proxied URLs and reloads the current page with them.
+   * @param {Object} scope - Settings to merge. Null values remove a setting.
+   */
+  setScope(scope) {
+    for (const [key, value] of Object.entries(scope)) {
+      if (value == null || value === '') {
+        delete this.scope[key]
+      } else if (!/^[\w-]+$/.test(key) || !/^[\w-]+$/.test(String(value))) {
+        throw new Error(`Invalid scope setting: ${key}=${value}`)
+      } else {
+        this.scope[key] = String(value)
+      }
+    }
+
+    const current = this.state.ready && this._lastUrl ? this.decode(this._lastUrl) : null
+    if (current && /^https?:/.test(current)) this.navigate(current)
+  }
+
+  /**
+   * Returns the proxy prefix including this client's scope segment.
+   * @private
+   * @returns {string}
+   */
+  _scopedPrefix() {
+    const scope = new URLSearchParams(this.scope).toString()
+    return window.__uv$config.prefix + (scope ? '@' + scope + '/' : '')
+  }
+
+  /**
+   * Returns the effective options of a transport engine.
+   * @param {string} [engine=this.engine] - The engine ID.
+   * @returns {Object}
+   */
+  getTransportOptions(engine = this.engine) {
+    return this.transport ? this.transport.getOptions(engine) : { ...this._storedTransportOptions()[engine] }
+  }
+
+  /**
+   * Overrides transport options (e.g. Epoxy's `wisp_v2`, `redirect_limit` or `user_agent`) and
+   * persists them. Values override `__uv$config.transports[engine].options`; null restores the
+   * configured value. The Service Worker reconnects the transport if the active engine changed,
+   * so no page reload is needed.
+   * @param {Object} options - Option values.
+   * @param {string} [engine=this.engine] - The engine ID.
+   * @returns {Promise<void>}
+   * @throws {TypeError} If an option is unknown or has the wrong type.
+   * @throws {TransportSetupError} If the transport could not be reconnected (the previous options are kept).
+   */
+  async setTransportOptions(options, engine = this.engine) {
+    if (this.transport) {
+      this.transport.validateOptions(options, engine)
+      await this.transport.negotiate(await this._serviceWorker(), { options: { [engine]: options } })
+    }
+
+    const stored = this._storedTransportOptions()
+    stored[engine] = { ...stored[engine], ...options }
+    Object.keys(options).forEach((key) => options[key] === null && delete stored[engine][key])
+    localStorage.setItem(this.options.transportOptionsKey, JSON.stringify(stored))
+  }
+
+  /**
+   * Reads persisted transport option overrides, by engine ID.
+   * @private
+   * @returns {Object<string, Object>}
+   */
+  _storedTransportOptions() {
+    try {
+      return JSON.parse(localStorage.getItem(this.options.transportOptionsKey)) || {}
+    } catch (e) {
+      return {}
+    }
+  }
+
+  /**
+   * Initialization phases, reported in error details when a phase fails or stalls.
+   * @readonly
+   */
+  static get PHASES() {
+    return {
+      SCRIPTS: 'scripts',
+      BAREMUX: 'baremux',
+      SERVICE_WORKER: 'serviceWorker',
+      TRANSPORT: 'transport',
+    }
   }
 
   /**
    * Initializes the client.
-   * Loads required scripts, establishes the transport connection, and registers the Service Worker.
+   * Loads required scripts, registers the Service Worker, and negotiates the transport with it.
+   * Each phase is bounded by `options.timeout` and retried with exponential backoff.
    * @returns {Promise<void>}
    * @emits ready
    * @emits error
+   * @emits transportSwitch
    */
   async init() {
     if (this.state.initialized) return
@@ -117,10 +324,8 @@ class ShaderClient {
       `
 
       const msg = `Service Workers are not supported. This application requires a secure context (HTTPS or localhost).\n${debugInfo}`
-      const error = new Error(msg)
       console.error(msg)
-      this.updateState({ error: msg })
-      this.emit(ShaderClient.EVENTS.ERROR, error)
+      this._reportError(new ServiceWorkerUnsupportedError(msg, { details: { isSecure, protocol, hostname } }))
       return
     }
 
@@ -130,53 +335,77 @@ class ShaderClient {
 
     this.updateState({ initialized: true })
 
+    const { PHASES } = ShaderClient
+
     try {
       // Load dependencies as ES modules
       if (this.options.loadBareMux) {
-        const BareMuxModule = await import(new URL(this.options.matrixPath, location.href).href)
+        const BareMuxModule = await this._runPhase(PHASES.BAREMUX, () =>
+          import(new URL(this.options.matrixPath, location.href).href)
+        )
         window.BareMux = BareMuxModule
       }
 
       if (this.options.loadVector) {
-        await this.loadScript(this.options.uvBundlePath + '?raw=true')
-        await this.loadScript(this.options.uvConfigPath + '?raw=true')
-        await this.loadScript(this.options.uvClientPath + '?raw=true')
+        // Each script is retried on its own so a retry never re-evaluates a script that already loaded.
+        // A timed-out attempt keeps waiting on the same tag; only a failed tag is replaced
+        for (const path of [this.options.uvBundlePath, this.options.uvConfigPath, this.options.uvClientPath]) {
+          let loading = null
+          await this._runPhase(PHASES.SCRIPTS, () => {
+            loading =
+              loading ||
+              this.loadScript(path + '?raw=true').catch((error) => {
+                loading = null
+                throw error
+              })
+            return loading
+          })
+        }
       }
 
-      let workerUrl = new URL(this.options.workerPath, location.href).href
-
-      // Fetch worker content to bypass esm.sh module shims and ensure raw script
-      try {
-        const fetchUrl = workerUrl + (workerUrl.includes('?') ? '&' : '?') + 'raw=true'
-        const response = await fetch(fetchUrl)
-        if (!response.ok) throw new Error(`Failed to fetch worker: ${response.statusText}`)
-        const workerScript = await response.text()
-        const blob = new Blob([workerScript], { type: 'application/javascript' })
-        workerUrl = URL.createObjectURL(blob)
-      } catch (e) {
-        console.warn('Failed to fetch worker raw content, falling back to direct URL:', e)
-        // Fallback to original URL (with cache buster if it was added)
-        workerUrl = new URL(this.options.workerPath + '?v=' + Date.now(), location.href).href
-      }
+      // Needs __uv$config.policy, so after the scripts. The Service Worker enforces the same policy
+      this.policy = await new ShaderPolicy().load()
 
+      const workerUrl = await this._runPhase(PHASES.BAREMUX, () => this._resolveWorkerUrl())
       const connection = new window.BareMux.BareMuxConnection(workerUrl)
-      const wispURL = window.__uv$config.wisp
-      const transportUrl = new URL('vector/index.mjs', location.href).href
 
-      console.log('🔧 Setting transport to Wisp (Remote Server):', wispURL)
-      await connection.setTransport(transportUrl, [{ wisp: wispURL }])
-      console.log('✅ Vector transport configured')
+      // The Service Worker owns the transport (and its health checks); this one only follows its config
+      this.transport = new ShaderTransport(connection, {
+        engine: localStorage.getItem(this.options.engineKey),
+        healthCheckInterval: 0,
+      })
+      this.transport.on(ShaderTransport.EVENTS.SWITCH, (endpoint) => {
+        this.updateState({ wispEndpoint: endpoint.url })
+        this.emit(ShaderClient.EVENTS.TRANSPORT_SWITCH, endpoint)
+      })
+      this.transport.on(ShaderTransport.EVENTS.ENGINE_CHANGE, ({ engine }) => {
+        this.engine = engine
+        this.updateState({ engine })
+      })
+      this.engine = this.transport.engine
+      this.updateState({ engine: this.engine })
+
+      // Force update of SW. The URL is built once: a new one on each retry would restart the install
+      const workerScript = 'compute.js?v=' + Date.now()
+      await this._runPhase(PHASES.SERVICE_WORKER, () => this.registerServiceWorker(workerScript, 'module'))
 
-      // Force update of SW
-      await this.registerServiceWorker('compute.js?v=' + Date.now(), 'module')
+      console.log('🔧 Negotiating transport with the Service Worker')
+      const config = await this._runPhase(PHASES.TRANSPORT, async () =>
+        this.transport.negotiate(await this._serviceWorker(), {
+          engine: localStorage.getItem(this.options.engineKey),
+          options: this._storedTransportOptions(),
+        })
+      )
+      console.log(`✅ ${config.engine} transport configured:`, config.endpoint)
 
       this.encodeUrl = (url) => {
-        return window.location.origin + window.__uv$config.prefix + window.__uv$config.encodeUrl(url)
+        return window.location.origin + this._scopedPrefix() + window.__uv$config.encodeUrl(url)
       }
       this.decodeUrl = (url) => {
         const prefix = window.__uv$config.prefix
         if (url.includes(prefix)) {
-          return window.__uv$config.decodeUrl(url.split(prefix)[1])
+          // Drop the scope segment (any scope, so URLs from before a scope change still decode)
+          return window.__uv$config.decodeUrl(url.split(prefix)[1].replace(/^@[\w=&-]*\//, ''))
         }
         return url
       }
@@ -185,11 +414,119 @@ class ShaderClient {
       this.emit(ShaderClient.EVENTS.READY)
     } catch (error) {
       console.error('ShaderClient Init Error:', error)
-      this.updateState({ error: error.message })
-      this.emit(ShaderClient.EVENTS.ERROR, error)
+      // Allow init() to be called again
+      this.updateState({ initialized: false })
+      this._reportError(error)
     }
   }
 
+  /**
+   * Runs an initialization phase with a timeout per attempt, retrying with exponential backoff.
+   * @private
+   * @param {string} phase - One of ShaderClient.PHASES.
+   * @param {function(): Promise<*>} task - The phase body.
+   * @returns {Promise<*>} The task result.
+   * @throws {ShaderError} The last failure, with `details.phase` and `details.attempts` set.
+   */
+  async _runPhase(phase, task) {
+    const { timeout, retries, retryDelay } = this.options
+    let lastError = null
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = retryDelay * 2 ** (attempt - 1)
+        console.warn(`ShaderClient: retrying ${phase} in ${delay}ms (attempt ${attempt + 1}/${retries + 1})`)
+        await new Promise((resolve) => setTimeout(resolve, delay))
+      }
+
+      let timer = null
+      try {
+        return await Promise.race([
+          task(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(
+              () => reject(new TimeoutError(`Initialization phase "${phase}" timed out after ${timeout}ms`)),
+              timeout
+            )
+          }),
+        ])
+      } catch (error) {
+        lastError = error
+      } finally {
+        clearTimeout(timer)
+      }
+    }
+
+    const error = ShaderError.from(lastError)
+    error.details = { ...error.details, phase, attempts: retries + 1 }
+    if (!error.message.includes(`"${phase}"`)) {
+      error.message = `Initialization phase "${phase}" failed: ${error.message}`
+    }
+    throw error
+  }
+
+  /**
+   * Resolves the BareMux SharedWorker URL.
+   * @private
+   * @returns {Promise<string>}
+   */
+  async _resolveWorkerUrl() {
+    let workerUrl = new URL(this.options.workerPath, location.href).href
+
+    // Fetch worker content to bypass esm.sh module shims and ensure raw script
+    try {
+      const fetchUrl = workerUrl + (workerUrl.includes('?') ? '&' : '?') + 'raw=true'
+      const response = await fetch(fetchUrl)
+      if (!response.ok) throw new Error(`Failed to fetch worker: ${response.statusText}`)
+      const workerScript = await response.text()
+      const blob = new Blob([workerScript], { type: 'application/javascript' })
+      workerUrl = URL.createObjectURL(blob)
+    } catch (e) {
+      console.warn('Failed to fetch worker raw content, falling back to direct URL:', e)
+      // Fallback to original URL (with cache buster if it was added)
+      workerUrl = new URL(this.options.workerPath + '?v=' + Date.now(), location.href).href
+    }
+
+    return workerUrl
+  }
+
+  /**
+   * Normalizes an error into a ShaderError, records it in the state and emits it.
+   * @private
+   * @param {*} error - The error (an Error, a string or a serialized ShaderError).
+   * @emits error
+   */
+  _reportError(error) {
+    const shaderError = ShaderError.from(error)
+    this.updateState({ error: shaderError.message, errorCode: shaderError.code })
+    this.emit(ShaderClient.EVENTS.ERROR, shaderError)
+  }
+
+  /**
+   * Handles messages posted by the Service Worker.
+   * @private
+   * @param {MessageEvent} event
+   */
+  _handleWorkerMessage(event) {
+    const data = event.data
+    if (data && data.msg === 'shaderError') {
+      this._reportError(data.error)
+    } else if (data && data.msg === 'transportConfig' && data.type === 'confirm' && this.transport) {
+      if (data.version === ShaderTransport.CONFIG_VERSION) {
+        this.transport.applyConfig(data.config).catch((error) => this._reportError(error))
+      }
+    }
+  }
+
+  /**
+   * Returns the Service Worker that owns the transport (the controller, or the active one before it takes control).
+   * @private
+   * @returns {Promise<ServiceWorker>}
+   */
+  async _serviceWorker() {
+    return navigator.serviceWorker.controller || (await navigator.serviceWorker.ready).active
+  }
+
   /**
    * Loads a script dynamically.
    * @private
@@ -203,7 +540,11 @@ class ShaderClient {
       script.src = src
       script.type = type
       script.onload = () => resolve()
-      script.onerror = () => reject(new Error(`Failed to load script: ${src}`))
+      script.onerror = () => {
+        // Allow a clean retry
+        script.remove()
+        reject(new Error(`Failed to load script: ${src}`))
+      }
       document.head.appendChild(script)
     })
   }
@@ -221,6 +562,11 @@ class ShaderClient {
       await navigator.serviceWorker.ready
       this.updateState({ computeWorkerRegistered: true })
 
+      if (!this._workerMessageHandler) {
+        this._workerMessageHandler = (event) => this._handleWorkerMessage(event)
+        navigator.serviceWorker.addEventListener('message', this._workerMessageHandler)
+      }
+
       if (!navigator.serviceWorker.controller) {
         window.location.reload()
       }
@@ -231,17 +577,29 @@ class ShaderClient {
 
   /**
    * Encodes a URL or search query and navigates the managed frame (if set).
+   * URLs denied by the administrator policy are not loaded; an ERR_BLOCKED error is emitted instead.
    * @param {string} url - The URL to navigate to, or a search query.
-   * @returns {string} The fully qualified, proxied URL.
+   * @returns {string|null} The fully qualified, proxied URL, or null if the policy denies it.
    * @emits loadingStart
    * @emits navigating
+   * @emits error
    */
   navigate(url) {
     if (!this.state.ready) throw new Error('Client not ready')
     const parsedUrl = this.parseUrl(url)
+    const verdict = this.policy && this.policy.evaluate(parsedUrl)
+    if (verdict && !verdict.allowed) {
+      this._reportError(
+        new BlockedError(`${parsedUrl.href} is blocked by policy`, {
+          url: parsedUrl.href,
+          details: { policy: verdict.policy, rule: verdict.rule },
+        })
+      )
+      return null
+    }
     const encodedUrl = this.encodeUrl(parsedUrl.toString())
 
-    this.updateState({ loading: true })
+    this.updateState({ loading: true, blocked: 0 })
     this.emit(ShaderClient.EVENTS.LOADING_START)
     this.emit(ShaderClient.EVENTS.NAVIGATING, { original: url, encoded: encodedUrl })
 
@@ -282,6 +640,9 @@ class ShaderClient {
     if (this.iframe && this._pollingInterval) {
       clearInterval(this._pollingInterval)
     }
+    if (this._messageHandler) {
+      window.removeEventListener('message', this._messageHandler)
+    }
 
     this.iframe = element
     this._attachListeners(this.iframe)
@@ -289,55 +650,73 @@ class ShaderClient {
 
   /**
    * Internal method to attach listeners to the active frame.
+   * Navigation and metadata changes are pushed by the injected handler (shader.handler.mjs);
+   * polling only remains as a fallback.
    * @private
    */
   _attachListeners(iframe) {
     const handleLoadStart = () => {
       if (!this.state.loading) {
-        this.updateState({ loading: true })
+        this.updateState({ loading: true, blocked: 0 })
         this.emit(ShaderClient.EVENTS.LOADING_START)
       }
     }
 
+    const applyMetadata = (title, favicon) => {
+      if (title && title !== this._lastTitle) {
+        this._lastTitle = title
+        this.emit(ShaderClient.EVENTS.TITLE_CHANGE, title)
+        this._updateHistoryTitle(title)
+      }
+
+      if (favicon !== this._lastFavicon) {
+        this._lastFavicon = favicon
+        this.emit(ShaderClient.EVENTS.FAVICON_CHANGE, favicon)
+      }
+    }
+
     const checkMetadata = () => {
       try {
         if (!iframe.contentDocument) return
 
-        // Title
-        const title = iframe.contentDocument.title
-        if (title && title !== this._lastTitle) {
-          this._lastTitle = title
-          this.emit(ShaderClient.EVENTS.TITLE_CHANGE, title)
-        }
-
-        // Favicon
         const iconLink = iframe.contentDocument.querySelector("link[rel*='icon']")
-        const favicon = iconLink ? iconLink.href : ''
-        if (favicon !== this._lastFavicon) {
-          this._lastFavicon = favicon
-          this.emit(ShaderClient.EVENTS.FAVICON_CHANGE, favicon)
-        }
+        applyMetadata(iframe.contentDocument.title, iconLink ? iconLink.href : '')
       } catch (e) {}
     }
 
+    // How the frame reached its current URL, when the handler has not reported it: a new document
+    // carries its navigation type, anything else is a new entry
+    const navigationType = () => {
+      if (iframe.contentDocument === this._lastDocument) return 'push'
+      const entry = iframe.contentWindow.performance.getEntriesByType('navigation')[0]
+      return entry && entry.type === 'back_forward' ? 'traverse' : 'push'
+    }
+
+    const checkUrl = (navigation) => {
+      const currentUrl = iframe.contentWindow.location.href
+      if (currentUrl === this._lastUrl) return
+      // Same-document changes are left to the handler's report, which says whether they were a traversal
+      if (!navigation && iframe.contentDocument === this._lastDocument && '__uv' in iframe.contentWindow) return
+
+      this._lastUrl = currentUrl
+      const decodedUrl = this.decode(currentUrl)
+      this.emit(ShaderClient.EVENTS.URL_CHANGE, { original: currentUrl, decoded: decodedUrl })
+      this._recordHistory(decodedUrl, navigation || navigationType())
+      this._lastDocument = iframe.contentDocument
+
+      // Re-attach listeners as the DOM might be new or updated
+      setupInternalTracking()
+    }
+
     const handleLoadStop = () => {
       try {
-        const encodedUrl = iframe.contentWindow.location.href
-
         // Stop loading state
         this.updateState({ loading: false })
         this.emit(ShaderClient.EVENTS.LOADING_STOP)
 
         // Check metadata immediately on load
         checkMetadata()
-
-        if (this._lastUrl === encodedUrl) return
-        this._lastUrl = encodedUrl
-        const decodedUrl = this.decode(encodedUrl)
-        this.emit(ShaderClient.EVENTS.URL_CHANGE, { original: encodedUrl, decoded: decodedUrl })
-
-        // Re-setup listener for next navigation
-        setupInternalTracking()
+        checkUrl()
       } catch (err) {}
     }
 
@@ -349,28 +728,12 @@ class ShaderClient {
       } catch (err) {}
     }
 
-    iframe.addEventListener('load', handleLoadStop)
-
-    // Initial setup
-    setupInternalTracking()
-
-    // Polling fallback for URL changes (SPA support) and safety check
-    this._pollingInterval = setInterval(() => {
+    const poll = () => {
       try {
-        // Check metadata periodically
         checkMetadata()
 
-        const currentUrl = iframe.contentWindow.location.href
-
-        // 1. Detect URL changes (e.g. pushState/SPAs)
-        if (currentUrl !== this._lastUrl) {
-          this._lastUrl = currentUrl
-          const decodedUrl = this.decode(currentUrl)
-          this.emit(ShaderClient.EVENTS.URL_CHANGE, { original: currentUrl, decoded: decodedUrl })
-
-          // Re-attach listeners as the DOM might be new or updated
-          setupInternalTracking()
-        }
+        // 1. Detect URL changes (e.g. pushState/SPAs) the handler did not report
+        checkUrl()
 
         // 2. Safety: If we think we are loading, but the frame is actually done, stop loading.
         if (this.state.loading && iframe.contentDocument && iframe.contentDocument.readyState === 'complete') {
@@ -378,7 +741,75 @@ class ShaderClient {
           this.emit(ShaderClient.EVENTS.LOADING_STOP)
         }
       } catch (e) {}
-    }, 500)
+    }
+
+    const startPolling = (interval) => {
+      clearInterval(this._pollingInterval)
+      this._pollingInterval = setInterval(poll, interval)
+    }
+
+    // Frame updates posted by the injected handler (pushState/replaceState, popstate, title/favicon mutations)
+    let handlerReporting = false
+    this._messageHandler = (event) => {
+      const data = event.data
+
+      // Requests cancelled by the blocker, reported by the page or one of its frames
+      if (data && data.__shader$type === 'blocked' && this._ownsWindow(event.source)) {
+        this.updateState({ blocked: this.state.blocked + 1 })
+        this.emit(ShaderClient.EVENTS.BLOCKED, { url: data.url, filter: data.filter, count: this.state.blocked })
+        return
+      }
+
+      if (event.source !== iframe.contentWindow || !data) return
+
+      // Error page served by the kernel
+      if (data.__shader$type === 'error') {
+        this._reportError(data.error)
+        return
+      }
+
+      // Retry button on the error page
+      if (data.__shader$type === 'retry') {
+        data.url && this.state.ready ? this.navigate(data.url) : this.reloadFrame()
+        return
+      }
+
+      if (data.__shader$type !== 'frame') return
+
+      if (!handlerReporting) {
+        handlerReporting = true
+        startPolling(this.options.fallbackPollInterval)
+      }
+
+      try {
+        applyMetadata(data.title, data.favicon || '')
+        checkUrl(data.navigation || 'push')
+      } catch (e) {}
+    }
+
+    window.addEventListener('message', this._messageHandler)
+    iframe.addEventListener('load', handleLoadStop)
+
+    // Initial setup
+    setupInternalTracking()
+
+    // Polling fallback until the handler reports in
+    startPolling(this.options.pollInterval)
+  }
+
+  /**
+   * Whether a window is the managed frame or one of its nested frames.
+   * @private
+   * @param {Window} win - The window.
+   * @returns {boolean}
+   */
+  _ownsWindow(win) {
+    try {
+      for (; win; win = win.parent === win ? null : win.parent) {
+        if (win === this.iframe.contentWindow) return true
+      }
+    } catch (e) {}
+    return false
   }
 
   /**
@@ -391,13 +822,16 @@ class ShaderClient {
 
   /**
    * Parses user input into a valid URL object.
-   * Automatically handles search queries using the configured engine.
+   * Handles `!bang` shortcuts and search queries using the selected engine.
    * @private
    * @param {string} input - The raw user input.
    * @returns {URL} The parsed URL.
    */
   parseUrl(input) {
     const trimmed = input.trim()
+    const bangUrl = this.searchEngines.resolveBang(trimmed)
+    if (bangUrl) return bangUrl
+
     try {
       return new URL(trimmed)
     } catch {
@@ -406,8 +840,10 @@ class ShaderClient {
         if (withProtocol.hostname.includes('.')) return withProtocol
       } catch {}
 
-      const searchUrl = (window.__uv$config && window.__uv$config.searchEngine) || this.options.searchEngine
-      return new URL(searchUrl.replace('%s', encodeURIComponent(trimmed)))
+      const engineUrl = this.searchEngines.searchUrl(trimmed, this.searchEngine)
+      if (engineUrl) return engineUrl
+
+      return new URL(this.options.searchEngine.replace('%s', encodeURIComponent(trimmed)))
     }
   }
 
@@ -442,22 +878,125 @@ class ShaderClient {
     this.emit(ShaderClient.EVENTS.STATUS_CHANGE, { ...this.state })
   }
 
+  /**
+   * Whether the managed frame has an earlier entry in its history.
+   * @type {boolean}
+   */
+  get canGoBack() {
+    return this._history.index > 0
+  }
+
+  /**
+   * Whether the managed frame has a later entry in its history.
+   * @type {boolean}
+   */
+  get canGoForward() {
+    return this._history.index < this._history.entries.length - 1
+  }
+
+  /**
+   * Returns the navigation history recorded for the managed frame.
+   * @returns {{entries: ShaderHistoryEntry[], index: number, canGoBack: boolean, canGoForward: boolean}}
+   */
+  getHistory() {
+    return {
+      entries: this._history.entries.map(({ url, title }) => ({ url, title })),
+      index: this._history.index,
+      canGoBack: this.canGoBack,
+      canGoForward: this.canGoForward,
+    }
+  }
+
   /**
    * Navigates the managed frame back in history.
    */
   goBack() {
-    if (this.iframe && this.iframe.contentWindow) {
-      this.iframe.contentWindow.history.back()
-    }
+    if (this.canGoBack) this.goTo(this._history.index - 1)
   }
 
   /**
    * Navigates the managed frame forward in history.
    */
   goForward() {
-    if (this.iframe && this.iframe.contentWindow) {
-      this.iframe.contentWindow.history.forward()
+    if (this.canGoForward) this.goTo(this._history.index + 1)
+  }
+
+  /**
+   * Traverses the managed frame's history to the given entry.
+   * `history.go()` would walk the joint session history of the whole tab, other surfaces' frames
+   * included, so the frame is traversed with the Navigation API, or the entry is loaded in place
+   * where that API is missing.
+   * @param {number} index - Index into getHistory().entries.
+   */
+  goTo(index) {
+    if (index === this._history.index || index < 0 || index >= this._history.entries.length) return
+    const win = this.iframe && this.iframe.contentWindow
+    if (!win) return
+
+    const entry = this._history.entries[index]
+    this._pendingHistoryIndex = index
+    if (win.navigation && entry.key && win.navigation.entries().some((e) => e.key === entry.key)) {
+      const { committed, finished } = win.navigation.traverseTo(entry.key)
+      committed.catch(() => {})
+      finished.catch(() => {})
+    } else {
+      win.location.replace(this.encodeUrl(entry.url))
+    }
+  }
+
+  /**
+   * Records a decoded URL change in the history stack.
+   * Only a traversal (goTo() or one the frame reported) moves through existing entries.
+   * @private
+   * @param {string} url - The decoded URL.
+   * @param {string} [navigation='push'] - How the frame got there: 'push', 'replace' or 'traverse'.
+   * @emits historyChange
+   */
+  _recordHistory(url, navigation = 'push') {
+    if (!this.state.ready || !url || url === 'about:blank') return
+
+    const history = this._history
+    const pending = this._pendingHistoryIndex
+    this._pendingHistoryIndex = null
+
+    const current = history.entries[history.index]
+    const previous = history.entries[history.index - 1]
+    const next = history.entries[history.index + 1]
+    if (current && current.url === url) return
+
+    if (pending !== null && history.entries[pending] && history.entries[pending].url === url) {
+      history.index = pending
+    } else if (navigation === 'traverse' && previous && previous.url === url) {
+      // Traversal initiated by the page itself (history.back())
+      history.index--
+    } else if (navigation === 'traverse' && next && next.url === url) {
+      history.index++
+    } else if (navigation === 'replace' && current) {
+      Object.assign(current, { url, title: '' })
+    } else {
+      history.entries.splice(history.index + 1, Infinity, { url, title: '' })
+      history.index = history.entries.length - 1
     }
+
+    // Navigation API key of the frame's entry, for goTo()
+    const win = this.iframe && this.iframe.contentWindow
+    try {
+      history.entries[history.index].key = win.navigation.currentEntry.key
+    } catch (e) {}
+
+    this.emit(ShaderClient.EVENTS.HISTORY_CHANGE, this.getHistory())
+  }
+
+  /**
+   * Stores the title of the current history entry.
+   * @private
+   * @param {string} title - The page title.
+   */
+  _updateHistoryTitle(title) {
+    const entry = this._history.entries[this._history.index]
+    if (!entry || entry.title === title) return
+    entry.title = title
+    this.emit(ShaderClient.EVENTS.HISTORY_CHANGE, this.getHistory())
   }
 
   /**
@@ -469,6 +1008,25 @@ class ShaderClient {
     }
   }
 
+  /**
+   * Detaches the client from its frame, the shared search engine registry and the Service Worker.
+   * The client cannot be used afterwards.
+   */
+  destroy() {
+    clearInterval(this._pollingInterval)
+    this._pollingInterval = null
+    if (this.transport) this.transport.stop()
+    this.searchEngines.off(ShaderSearchEngines.EVENTS.DEFAULT_CHANGE, this._searchEngineHandler)
+    if (this._messageHandler) window.removeEventListener('message', this._messageHandler)
+    if (this._workerMessageHandler) {
+      navigator.serviceWorker.removeEventListener('message', this._workerMessageHandler)
+    }
+    this._messageHandler = null
+    this._workerMessageHandler = null
+    this.listeners = {}
+    this.iframe = null
+  }
+
   /**
    * Reloads the entire page (parent window).
    * Useful when the Service Worker needs to take control.
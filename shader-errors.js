@@ -0,0 +1,213 @@
+/**
+ * Shader error types
+ *
+ * Typed errors with stable codes, shared by the page (ShaderClient) and the
+ * Service Worker (compute.js / shader.kernel.mjs). Errors cross the worker
+ * boundary as plain objects (see ShaderError#toJSON and ShaderError.from).
+ */
+
+/**
+ * Stable error codes. The UI may rely on these values.
+ * @readonly
+ * @enum {string}
+ */
+const ERROR_CODES = Object.freeze({
+  SW_UNSUPPORTED: 'ERR_SW_UNSUPPORTED',
+  TRANSPORT_SETUP_FAILED: 'ERR_TRANSPORT_SETUP_FAILED',
+  WISP_CONNECT_FAILED: 'ERR_WISP_CONNECT_FAILED',
+  DNS_FAILURE: 'ERR_DNS_FAILURE',
+  TLS_FAILURE: 'ERR_TLS_FAILURE',
+  TIMEOUT: 'ERR_TIMEOUT',
+  REWRITE_FAILED: 'ERR_REWRITE_FAILED',
+  BLOCKED: 'ERR_BLOCKED',
+  UPSTREAM_ERROR: 'ERR_UPSTREAM_ERROR',
+  UNKNOWN: 'ERR_UNKNOWN',
+})
+
+/**
+ * Base class for every Shader error.
+ */
+class ShaderError extends Error {
+  /**
+   * @param {string} message - Human readable message.
+   * @param {Object} [options={}] - Error details.
+   * @param {string} [options.code=ERROR_CODES.UNKNOWN] - Stable error code.
+   * @param {*} [options.cause] - The underlying error.
+   * @param {string} [options.url] - The URL being loaded, if any.
+   * @param {Object} [options.details] - Extra diagnostic data.
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause !== undefined ? { cause: options.cause } : undefined)
+    this.name = this.constructor.name
+    this.code = options.code || this.constructor.code || ERROR_CODES.UNKNOWN
+    this.url = options.url || null
+    this.details = options.details || null
+  }
+
+  /**
+   * Default code for instances of this class.
+   * @type {string}
+   */
+  static get code() {
+    return ERROR_CODES.UNKNOWN
+  }
+
+  /**
+   * Serializes the error for postMessage.
+   * @returns {{name: string, code: string, message: string, url: string|null, details: Object|null, stack: string}}
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      message: this.message,
+      url: this.url,
+      details: this.details,
+      stack: this.stack,
+    }
+  }
+
+  /**
+   * Normalizes any thrown value (or a serialized error) into a typed ShaderError.
+   * @param {*} value - An Error, a string or the output of toJSON().
+   * @param {Object} [options={}] - Extra options applied when a new error is created.
+   * @returns {ShaderError}
+   */
+  static from(value, options = {}) {
+    if (value instanceof ShaderError) return value
+
+    if (value && typeof value === 'object' && !(value instanceof Error) && value.code) {
+      const Type = ERROR_TYPES[value.code] || ShaderError
+      const error = new Type(value.message, { ...options, code: value.code, url: value.url, details: value.details })
+      if (value.stack) error.stack = value.stack
+      return error
+    }
+
+    const message = value instanceof Error ? value.message : String(value)
+    const Type = ERROR_TYPES[classifyError(value)] || ShaderError
+    return new Type(message, { cause: value, ...options })
+  }
+}
+
+/** The browser does not support Service Workers (usually an insecure context). */
+class ServiceWorkerUnsupportedError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.SW_UNSUPPORTED
+  }
+}
+
+/** BareMux could not load or configure the transport. */
+class TransportSetupError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.TRANSPORT_SETUP_FAILED
+  }
+}
+
+/** The Wisp server could not be reached. */
+class WispConnectError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.WISP_CONNECT_FAILED
+  }
+}
+
+/** The remote hostname could not be resolved. */
+class DnsError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.DNS_FAILURE
+  }
+}
+
+/** The TLS handshake with the remote host failed. */
+class TlsError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.TLS_FAILURE
+  }
+}
+
+/** An operation did not complete in time. */
+class TimeoutError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.TIMEOUT
+  }
+}
+
+/** A response could not be rewritten. */
+class RewriteError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.REWRITE_FAILED
+  }
+}
+
+/** The request was blocked before reaching the remote host. */
+class BlockedError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.BLOCKED
+  }
+}
+
+/** The remote host answered with a server error (5xx). */
+class UpstreamError extends ShaderError {
+  static get code() {
+    return ERROR_CODES.UPSTREAM_ERROR
+  }
+}
+
+const ERROR_TYPES = {
+  [ERROR_CODES.SW_UNSUPPORTED]: ServiceWorkerUnsupportedError,
+  [ERROR_CODES.TRANSPORT_SETUP_FAILED]: TransportSetupError,
+  [ERROR_CODES.WISP_CONNECT_FAILED]: WispConnectError,
+  [ERROR_CODES.DNS_FAILURE]: DnsError,
+  [ERROR_CODES.TLS_FAILURE]: TlsError,
+  [ERROR_CODES.TIMEOUT]: TimeoutError,
+  [ERROR_CODES.REWRITE_FAILED]: RewriteError,
+  [ERROR_CODES.BLOCKED]: BlockedError,
+  [ERROR_CODES.UPSTREAM_ERROR]: UpstreamError,
+}
+
+/**
+ * Guesses an error code from a raw transport error (Epoxy/BareMux only expose messages).
+ * @param {*} error - The thrown value.
+ * @returns {string} One of ERROR_CODES.
+ */
+function classifyError(error) {
+  if (error && error.code && Object.values(ERROR_CODES).includes(error.code)) return error.code
+  if (error && error.name === 'AbortError') return ERROR_CODES.TIMEOUT
+
+  const message = String((error && error.message) || error).toLowerCase()
+  if (/dns|lookup|resolve|nxdomain|name not known|no such host/.test(message)) return ERROR_CODES.DNS_FAILURE
+  if (/tls|ssl|certificate|handshake/.test(message)) return ERROR_CODES.TLS_FAILURE
+  if (/timed? ?out|timeout/.test(message)) return ERROR_CODES.TIMEOUT
+  if (/wisp|websocket/.test(message)) return ERROR_CODES.WISP_CONNECT_FAILED
+  return ERROR_CODES.UNKNOWN
+}
+
+// One namespace for the kernel, which is not a module; single globals would collide with page names
+self.ShaderErrors = {
+  ERROR_CODES,
+  ShaderError,
+  ServiceWorkerUnsupportedError,
+  TransportSetupError,
+  WispConnectError,
+  DnsError,
+  TlsError,
+  TimeoutError,
+  RewriteError,
+  BlockedError,
+  UpstreamError,
+  classifyError,
+}
+
+export {
+  ERROR_CODES,
+  ShaderError,
+  ServiceWorkerUnsupportedError,
+  TransportSetupError,
+  WispConnectError,
+  DnsError,
+  TlsError,
+  TimeoutError,
+  RewriteError,
+  BlockedError,
+  UpstreamError,
+  classifyError,
+}
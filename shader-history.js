@@ -0,0 +1,288 @@
+/**
+ * ShaderHistory - Global browsing history store
+ *
+ * Persists visited pages in IndexedDB. Visits are recorded from ShaderClient
+ * URL_CHANGE events and completed with TITLE_CHANGE / FAVICON_CHANGE data.
+ */
+class ShaderHistory {
+  /**
+   * Available events that can be subscribed to.
+   * @readonly
+   */
+  static get EVENTS() {
+    return {
+      VISIT_ADDED: 'visitAdded',
+      VISIT_UPDATED: 'visitUpdated',
+      VISITS_REMOVED: 'visitsRemoved',
+    }
+  }
+
+  /**
+   * Creates an instance of ShaderHistory.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.dbName='shader_history'] - IndexedDB database name.
+   * @param {number} [options.limit=100] - Default number of results returned by query().
+   */
+  constructor(options = {}) {
+    this.options = {
+      dbName: 'shader_history',
+      limit: 100,
+      ...options,
+    }
+
+    this.listeners = {}
+    this._db = null
+  }
+
+  /**
+   * @typedef {Object} ShaderVisit
+   * @property {number} id - Visit identifier.
+   * @property {string} url - The decoded URL.
+   * @property {string} title - The page title.
+   * @property {string} favicon - The page favicon URL.
+   * @property {number} visitTime - Visit timestamp (ms since epoch).
+   */
+
+  /**
+   * Opens (and upgrades, if needed) the history database.
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._db) return this._db
+
+    this._db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, 1)
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('visits', { keyPath: 'id', autoIncrement: true })
+        store.createIndex('visitTime', 'visitTime')
+        store.createIndex('url', 'url')
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // A failed open (blocked upgrade, quota) is retried on the next call
+    this._db.catch(() => (this._db = null))
+
+    return this._db
+  }
+
+  /**
+   * Records history from a ShaderClient.
+   * @param {ShaderClient} client - The client to track.
+   */
+  track(client) {
+    let lastVisit = null
+    const current = { url: '', title: '', favicon: '' }
+
+    // Metadata is checked before the URL on load, so only update the visit once the client has moved to it
+    const updateCurrent = (updates) => {
+      Object.assign(current, updates)
+      if (!lastVisit) return
+      lastVisit.then((visit) => {
+        if (visit && current.url === visit.url) this.updateVisit(visit.id, updates)
+      })
+    }
+
+    client.on(ShaderClient.EVENTS.URL_CHANGE, ({ decoded }) => {
+      current.url = decoded
+      if (!/^https?:/.test(decoded)) return
+      lastVisit = this.addVisit({ ...current }).catch((e) => {
+        console.warn('Failed to record history:', e)
+        return null
+      })
+    })
+
+    client.on(ShaderClient.EVENTS.TITLE_CHANGE, (title) => updateCurrent({ title }))
+    client.on(ShaderClient.EVENTS.FAVICON_CHANGE, (favicon) => updateCurrent({ favicon }))
+  }
+
+  /**
+   * Adds a visit.
+   * @param {Object} visit - The visit data.
+   * @param {string} visit.url - The decoded URL.
+   * @param {string} [visit.title=''] - The page title.
+   * @param {string} [visit.favicon=''] - The page favicon URL.
+   * @param {number} [visit.visitTime=Date.now()] - Visit timestamp.
+   * @returns {Promise<ShaderVisit>}
+   * @emits visitAdded
+   */
+  async addVisit({ url, title, favicon, visitTime = Date.now() }) {
+    const visit = { url, title: title || '', favicon: favicon || '', visitTime }
+    visit.id = await this._transaction('readwrite', (store) => store.add(visit))
+    this.emit(ShaderHistory.EVENTS.VISIT_ADDED, visit)
+    return visit
+  }
+
+  /**
+   * Updates the title and/or favicon of a visit.
+   * @param {number} id - The visit ID.
+   * @param {Object} updates - Fields to update.
+   * @returns {Promise<ShaderVisit|null>}
+   * @emits visitUpdated
+   */
+  async updateVisit(id, updates) {
+    const db = await this.open()
+
+    // Read and written in one transaction, so concurrent updates of the same visit do not overwrite each other
+    const visit = await new Promise((resolve, reject) => {
+      const tx = db.transaction('visits', 'readwrite')
+      const store = tx.objectStore('visits')
+      const request = store.get(id)
+      let result = null
+
+      request.onsuccess = () => {
+        result = request.result ? Object.assign(request.result, updates) : null
+        if (result) store.put(result)
+      }
+      tx.oncomplete = () => resolve(result)
+      tx.onerror = () => reject(tx.error)
+    })
+
+    if (visit) this.emit(ShaderHistory.EVENTS.VISIT_UPDATED, visit)
+    return visit
+  }
+
+  /**
+   * Queries visits, newest first.
+   * @param {Object} [query={}] - Query options.
+   * @param {string} [query.text] - Case-insensitive text matched against URL and title.
+   * @param {number} [query.startTime] - Only visits at or after this timestamp.
+   * @param {number} [query.endTime] - Only visits at or before this timestamp.
+   * @param {number} [query.limit] - Maximum number of results.
+   * @returns {Promise<ShaderVisit[]>}
+   */
+  async query({ text = '', startTime, endTime, limit = this.options.limit } = {}) {
+    const needle = text.trim().toLowerCase()
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const results = []
+      const index = db.transaction('visits', 'readonly').objectStore('visits').index('visitTime')
+      const request = index.openCursor(this._range(startTime, endTime), 'prev')
+
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor || results.length >= limit) return resolve(results)
+
+        const visit = cursor.value
+        if (!needle || visit.url.toLowerCase().includes(needle) || visit.title.toLowerCase().includes(needle)) {
+          results.push(visit)
+        }
+        cursor.continue()
+      }
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Searches visits by text.
+   * @param {string} text - Text matched against URL and title.
+   * @param {number} [limit] - Maximum number of results.
+   * @returns {Promise<ShaderVisit[]>}
+   */
+  search(text, limit) {
+    return this.query({ text, limit })
+  }
+
+  /**
+   * Deletes a single visit.
+   * @param {number} id - The visit ID.
+   * @returns {Promise<void>}
+   * @emits visitsRemoved
+   */
+  async deleteVisit(id) {
+    await this._transaction('readwrite', (store) => store.delete(id))
+    this.emit(ShaderHistory.EVENTS.VISITS_REMOVED, { ids: [id] })
+  }
+
+  /**
+   * Deletes every visit within a time range.
+   * @param {number} [startTime] - Range start (inclusive). Open-ended if omitted.
+   * @param {number} [endTime] - Range end (inclusive). Open-ended if omitted.
+   * @returns {Promise<number>} The number of deleted visits.
+   * @emits visitsRemoved
+   */
+  async deleteRange(startTime, endTime) {
+    const db = await this.open()
+
+    const ids = await new Promise((resolve, reject) => {
+      const deleted = []
+      const tx = db.transaction('visits', 'readwrite')
+      const request = tx.objectStore('visits').index('visitTime').openCursor(this._range(startTime, endTime))
+
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor) return
+        deleted.push(cursor.primaryKey)
+        cursor.delete()
+        cursor.continue()
+      }
+      tx.oncomplete = () => resolve(deleted)
+      tx.onerror = () => reject(tx.error)
+    })
+
+    this.emit(ShaderHistory.EVENTS.VISITS_REMOVED, { ids, startTime, endTime })
+    return ids.length
+  }
+
+  /**
+   * Deletes all visits.
+   * @returns {Promise<void>}
+   * @emits visitsRemoved
+   */
+  async clear() {
+    await this._transaction('readwrite', (store) => store.clear())
+    this.emit(ShaderHistory.EVENTS.VISITS_REMOVED, { all: true })
+  }
+
+  /**
+   * Builds a key range over visit timestamps.
+   * @private
+   */
+  _range(startTime, endTime) {
+    if (startTime != null && endTime != null) return IDBKeyRange.bound(startTime, endTime)
+    if (startTime != null) return IDBKeyRange.lowerBound(startTime)
+    if (endTime != null) return IDBKeyRange.upperBound(endTime)
+    return null
+  }
+
+  /**
+   * Runs a single request against the visits store.
+   * @private
+   * @param {IDBTransactionMode} mode - Transaction mode.
+   * @param {function(IDBObjectStore): IDBRequest} fn - Builds the request.
+   * @returns {Promise<*>} The request result.
+   */
+  async _transaction(mode, fn) {
+    const db = await this.open()
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction('visits', mode).objectStore('visits'))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - The name of the event (use ShaderHistory.EVENTS).
+   * @param {function} callback - The function to call when the event is emitted.
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(callback)
+  }
+
+  /**
+   * Emits an event to registered listeners.
+   * @private
+   * @param {string} event - The name of the event.
+   * @param {*} data - The data to pass to listeners.
+   */
+  emit(event, data) {
+    if (!this.listeners[event]) return
+    this.listeners[event].forEach((callback) => callback(data))
+  }
+}
+
+window.ShaderHistory = ShaderHistory
+export { ShaderHistory }
@@ -0,0 +1,485 @@
+/**
+ * ShaderHtmlStream - Streaming HTML rewriter
+ *
+ * Rewrites proxied HTML documents while they download, so a page starts rendering before its
+ * last byte has come through the transport. The kernel (shader.kernel.mjs) pipes document
+ * bodies through it (bytes in, bytes out):
+ *
+ *   response.body.pipeThrough(new ShaderHtmlStream(vector, { injectHead }))
+ *
+ * The head injection (handler scripts, policy, userscripts, cosmetic filters) is written first,
+ * right after any leading doctype, `<html>` and `<head>` tags. Each tag is then rewritten as
+ * soon as it is complete, with the same `element`, `attr` and `text` hooks as
+ * Vector#rewriteHtml. Inline scripts and styles are held until their end tag, since they are
+ * rewritten whole. Markup the tokenizer does not need to understand (text, comments, end
+ * tags, unchanged attributes) is passed through as written.
+ */
+class ShaderHtmlStream {
+  /**
+   * Elements whose content is text up to their end tag. Only scripts and styles are changed
+   * by the `text` hooks; the others are passed through.
+   * @readonly
+   */
+  static get RAW_TEXT() {
+    return ['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript']
+  }
+
+  /**
+   * HTML start tags that end SVG and MathML content, as in the HTML parser's rules for foreign
+   * content. `<font>` only does with a `color`, `face` or `size` attribute.
+   * @readonly
+   */
+  static get BREAKOUT() {
+    return [
+      'b', 'big', 'blockquote', 'body', 'br', 'center', 'code', 'dd', 'div', 'dl', 'dt', 'em', 'embed',
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'hr', 'i', 'img', 'li', 'listing', 'menu', 'meta',
+      'nobr', 'ol', 'p', 'pre', 'ruby', 's', 'small', 'span', 'strong', 'strike', 'sub', 'sup', 'table',
+      'tt', 'u', 'ul', 'var',
+    ]
+  }
+
+  /**
+   * Creates a rewriting stream for one document.
+   * @param {Vector} ctx - The rewriter of the request (its `html` hooks, and `meta` through them).
+   * @param {Object} [options={}] - Configuration options.
+   * @param {Object[]} [options.injectHead=[]] - Nodes written before the document content (see Vector#createHtmlInject).
+   * @param {Array<{injectTo: string, html: string}>} [options.inject=[]] - Raw HTML placed before the first `<head>`
+   *   or `<body>` tag (see `__uv$config.inject`). It is rewritten with the document.
+   */
+  constructor(ctx, options = {}) {
+    this.options = {
+      injectHead: [],
+      inject: [],
+      ...options,
+    }
+
+    this.ctx = ctx
+    this._buffer = ''
+    this._raw = null
+    // Open SVG and MathML elements, outermost first. `html` marks those whose content is parsed as HTML
+    this._foreign = []
+    this._injected = false
+    this._inserted = new Set()
+
+    const decoder = new TextDecoder()
+    const encoder = new TextEncoder()
+    const enqueue = (controller, html) => html && controller.enqueue(encoder.encode(html))
+
+    const stream = new TransformStream({
+      transform: (chunk, controller) => {
+        this._buffer += decoder.decode(chunk, { stream: true })
+        enqueue(controller, this._tokenize(false))
+      },
+      flush: (controller) => {
+        this._buffer += decoder.decode()
+        // A document without content still gets the injection
+        enqueue(controller, this._tokenize(true) + this._head())
+      },
+    })
+    this.readable = stream.readable
+    this.writable = stream.writable
+  }
+
+  /**
+   * Rewrites the complete tokens at the start of the buffer, leaving an incomplete one for
+   * the next chunk.
+   * @private
+   * @param {boolean} final - Whether the document has ended (incomplete tokens are written as they are).
+   * @returns {string} The rewritten HTML.
+   */
+  _tokenize(final) {
+    let buffer = this._buffer
+    let output = ''
+    let i = 0
+
+    while (i < buffer.length) {
+      if (this._raw) {
+        // <plaintext> never ends
+        const end = this._raw.tagName === 'plaintext' ? -1 : this._endTag(buffer, i, this._raw.tagName)
+        if (end === -1 && !final && this._raw.tagName !== 'plaintext') break
+        const text = buffer.slice(i, end === -1 ? buffer.length : end)
+        output += this._text(text)
+        i += text.length
+        if (end !== -1) this._raw = null
+        continue
+      }
+
+      const lt = buffer.indexOf('<', i)
+      if (lt !== i) {
+        const text = buffer.slice(i, lt === -1 ? buffer.length : lt)
+        if (/\S/.test(text)) output += this._head()
+        output += text
+        i += text.length
+        continue
+      }
+
+      // Not enough characters to tell what the token is
+      if (buffer.length - i < 4 && !final) break
+
+      const next = buffer[i + 1]
+      let end = -1
+      if (buffer.startsWith('<!--', i)) {
+        end = buffer.indexOf('-->', i + 4)
+        end = end === -1 ? end : end + 3
+      } else if (this._inForeign() && buffer.startsWith('<![CDATA[', i)) {
+        // CDATA sections only exist in SVG and MathML; elsewhere they are bogus comments
+        end = buffer.indexOf(']]>', i + 9)
+        end = end === -1 ? end : end + 3
+      } else if (next === '!' || next === '?') {
+        // Doctype or bogus comment
+        end = buffer.indexOf('>', i)
+        end = end === -1 ? end : end + 1
+      } else if (next === '/') {
+        end = buffer.indexOf('>', i)
+        end = end === -1 ? end : end + 1
+        if (end !== -1 || final) output += this._head()
+        if (end !== -1 && this._foreign.length) this._closeForeign(buffer.slice(i + 2, end - 1))
+      } else if (/[a-z]/i.test(next || '')) {
+        const tag = this._parseTag(buffer, i)
+        if (!tag) {
+          if (!final) break
+          output += this._head() + buffer.slice(i)
+          i = buffer.length
+          continue
+        }
+
+        const html = this._insertion(tag.name)
+        if (html) {
+          // Tokenized again, with the inserted HTML in front of the tag
+          buffer = buffer.slice(0, i) + html + buffer.slice(i)
+          continue
+        }
+
+        if (tag.name !== 'html' && tag.name !== 'head') output += this._head()
+        output += this._startTag(tag, buffer.slice(i, tag.end))
+        i = tag.end
+        continue
+      } else {
+        // A lone `<` is text
+        output += this._head() + '<'
+        i++
+        continue
+      }
+
+      if (end === -1) {
+        if (!final) break
+        end = buffer.length
+      }
+      output += buffer.slice(i, end)
+      i = end
+    }
+
+    this._buffer = buffer.slice(i)
+    return output
+  }
+
+  /**
+   * The head injection, the first time it is needed.
+   * @private
+   * @returns {string}
+   */
+  _head() {
+    if (this._injected) return ''
+    this._injected = true
+    return this.ctx.html.constructor.serialize({ nodeName: '#document-fragment', childNodes: this.options.injectHead })
+  }
+
+  /**
+   * The `inject` HTML to place before the first `<head>` or `<body>` tag.
+   * @private
+   * @param {string} tagName - The tag about to be written.
+   * @returns {string}
+   */
+  _insertion(tagName) {
+    if ((tagName !== 'head' && tagName !== 'body') || this._inserted.has(tagName)) return ''
+    this._inserted.add(tagName)
+    return this.options.inject
+      .filter((entry) => entry.injectTo === tagName)
+      .map((entry) => `${entry.html}`)
+      .join('')
+  }
+
+  /**
+   * Runs the `element` and `attr` hooks on a start tag and serializes it.
+   * Attributes the hooks did not change keep their original markup.
+   * @private
+   * @param {{name: string, attrs: Object[], selfClosing: boolean}} tag - The parsed tag.
+   * @param {string} source - The tag as written.
+   * @returns {string}
+   */
+  _startTag(tag, source) {
+    const attrs = tag.attrs.map((attr) => ({ name: attr.name, value: attr.value }))
+    const element = new StreamElement(tag.name, attrs, { document: true })
+    if (this._inForeign() && this._breaksOut(tag)) {
+      // Closes the open SVG and MathML elements up to the nearest one with HTML content
+      while (this._inForeign()) this._foreign.pop()
+    }
+
+    if (this._inForeign()) {
+      // SVG and MathML have no raw text elements; `<style>` there holds markup
+      const current = this._foreign[this._foreign.length - 1]
+      const ns = tag.name === 'svg' && current.name === 'annotation-xml' ? 'svg' : current.ns
+      if (!tag.selfClosing) this._foreign.push({ name: tag.name, ns, html: this._integrationPoint(tag, ns) })
+    } else if (ShaderHtmlStream.RAW_TEXT.includes(tag.name) || tag.name === 'plaintext') {
+      this._raw = element
+    } else if ((tag.name === 'svg' || tag.name === 'math') && !tag.selfClosing) {
+      this._foreign.push({ name: tag.name, ns: tag.name, html: false })
+    }
+
+    try {
+      const { html } = this.ctx
+      // As in Vector#rewriteHtml: `document` applies <base href>, `injectHead` is reused for srcdoc documents
+      const options = { document: true, injectHead: this.options.injectHead }
+      html.emit('element', element, 'rewrite')
+      // The live list, like Vector#rewriteHtml: attributes added by the hooks are visited too
+      for (const attr of element.attrs) {
+        attr.skip || html.emit('attr', new StreamAttr(element, attr, options), 'rewrite')
+      }
+    } catch (e) {
+      console.warn(`[SW] Failed to rewrite <${tag.name}>:`, e)
+      return source
+    }
+
+    let html = '<' + element.tagName
+    for (const attr of element.attrs) {
+      const original = tag.attrs[attrs.indexOf(attr)]
+      html +=
+        original && original.name === attr.name && original.value === attr.value
+          ? ' ' + original.raw
+          : ` ${attr.name}="${String(attr.value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`
+    }
+    return html + (tag.selfClosing ? ' />' : '>')
+  }
+
+  /**
+   * Whether the next token is in SVG or MathML content, where it is parsed as XML-like markup.
+   * @private
+   * @returns {boolean}
+   */
+  _inForeign() {
+    const current = this._foreign[this._foreign.length - 1]
+    return !!current && !current.html
+  }
+
+  /**
+   * Whether a start tag in SVG or MathML content is an HTML element that ends it.
+   * @private
+   * @param {{name: string, attrs: Object[]}} tag - The parsed tag.
+   * @returns {boolean}
+   */
+  _breaksOut(tag) {
+    if (tag.name === 'font') return tag.attrs.some((attr) => ['color', 'face', 'size'].includes(attr.name))
+    return ShaderHtmlStream.BREAKOUT.includes(tag.name)
+  }
+
+  /**
+   * Whether a start tag in SVG or MathML content opens an element whose content is parsed as HTML.
+   * @private
+   * @param {{name: string, attrs: Object[]}} tag - The parsed tag.
+   * @param {string} ns - `svg` or `math`.
+   * @returns {boolean}
+   */
+  _integrationPoint(tag, ns) {
+    if (ns === 'svg') return ['foreignobject', 'desc', 'title'].includes(tag.name)
+    if (tag.name === 'annotation-xml') {
+      const encoding = String((tag.attrs.find((attr) => attr.name === 'encoding') || {}).value).toLowerCase()
+      return encoding === 'text/html' || encoding === 'application/xhtml+xml'
+    }
+    return ['mi', 'mo', 'mn', 'ms', 'mtext'].includes(tag.name)
+  }
+
+  /**
+   * Closes the open SVG or MathML element an end tag names, with the elements inside it.
+   * @private
+   * @param {string} source - The end tag between `</` and `>`.
+   */
+  _closeForeign(source) {
+    const name = source.split(/[\s/]/)[0].toLowerCase()
+    // `</br>` and `</p>` end foreign content like their start tags
+    if (this._inForeign() && (name === 'br' || name === 'p')) {
+      while (this._inForeign()) this._foreign.pop()
+      return
+    }
+    const index = this._foreign.map((element) => element.name).lastIndexOf(name)
+    if (index !== -1) this._foreign.length = index
+  }
+
+  /**
+   * Runs the `text` hooks on the content of a raw text element.
+   * @private
+   * @param {string} text - The content.
+   * @returns {string}
+   */
+  _text(text) {
+    if (!text) return ''
+    const node = { nodeName: '#text', value: text, element: this._raw, parentNode: this._raw, options: { document: true } }
+    try {
+      this.ctx.html.emit('text', node, 'rewrite')
+      return node.value
+    } catch (e) {
+      console.warn(`[SW] Failed to rewrite <${this._raw.tagName}> content:`, e)
+      return text
+    }
+  }
+
+  /**
+   * Finds the end tag of a raw text element.
+   * @private
+   * @returns {number} Its index, or -1 if it is not in the buffer yet.
+   */
+  _endTag(buffer, from, tagName) {
+    const pattern = new RegExp(`</${tagName}[\\s/>]`, 'gi')
+    pattern.lastIndex = from
+    const match = pattern.exec(buffer)
+    return match ? match.index : -1
+  }
+
+  /**
+   * Decodes the character references in an attribute value with the bundle's HTML entity table,
+   * including legacy references without a semicolon.
+   * @private
+   * @param {string} value - The value as written.
+   * @returns {string}
+   */
+  _decode(value) {
+    return value.includes('&') ? this.ctx.html.constructor.decodeAttribute(value) : value
+  }
+
+  /**
+   * Parses a start tag, following the HTML tokenizer for attribute names and values.
+   * @private
+   * @param {string} buffer - The buffer.
+   * @param {number} start - Index of the `<`.
+   * @returns {{name: string, attrs: Array<{name: string, value: string, raw: string}>, selfClosing: boolean, end: number}|null}
+   *   The tag, or null if it is not complete yet. Repeated attributes are dropped, as browsers do.
+   */
+  _parseTag(buffer, start) {
+    let i = start + 1
+    while (i < buffer.length && !/[\s/>]/.test(buffer[i])) i++
+    const name = buffer.slice(start + 1, i).toLowerCase()
+    const attrs = []
+    let selfClosing = false
+
+    for (;;) {
+      while (i < buffer.length && /[\s/]/.test(buffer[i])) selfClosing = buffer[i++] === '/'
+      if (i >= buffer.length) return null
+      if (buffer[i] === '>') return { name, attrs, selfClosing, end: i + 1 }
+      selfClosing = false
+
+      // The first character of a name may be `=`
+      const nameStart = i++
+      while (i < buffer.length && !/[\s/>=]/.test(buffer[i])) i++
+      const attrName = buffer.slice(nameStart, i).toLowerCase()
+
+      let j = i
+      while (j < buffer.length && /\s/.test(buffer[j])) j++
+      if (j >= buffer.length) return null
+
+      let value = ''
+      if (buffer[j] === '=') {
+        j++
+        while (j < buffer.length && /\s/.test(buffer[j])) j++
+        if (j >= buffer.length) return null
+
+        const quote = buffer[j]
+        if (quote === '"' || quote === "'") {
+          const close = buffer.indexOf(quote, j + 1)
+          if (close === -1) return null
+          value = buffer.slice(j + 1, close)
+          i = close + 1
+        } else {
+          const valueStart = j
+          while (j < buffer.length && !/[\s>]/.test(buffer[j])) j++
+          if (j >= buffer.length) return null
+          value = buffer.slice(valueStart, j)
+          i = j
+        }
+      }
+
+      if (!attrs.some((attr) => attr.name === attrName)) {
+        attrs.push({ name: attrName, value: this._decode(value), raw: buffer.slice(nameStart, i) })
+      }
+    }
+  }
+}
+
+/**
+ * Start tag given to the `element` and `attr` hooks, with the interface of the bundle's
+ * streamed elements: attributes, but no children.
+ * @private
+ */
+class StreamElement {
+  constructor(tagName, attrs, options) {
+    this.tagName = tagName
+    this.attrs = attrs
+    this.options = options
+    this.stream = true
+  }
+
+  get nodeName() {
+    return this.tagName
+  }
+
+  get childNodes() {
+    return null
+  }
+
+  setAttribute(name, value) {
+    const attr = this.attrs.find((a) => a.name === name)
+    if (attr) attr.value = value
+    else this.attrs.push({ name, value })
+  }
+
+  getAttribute(name) {
+    return (this.attrs.find((a) => a.name === name) || {}).value
+  }
+
+  hasAttribute(name) {
+    return this.attrs.some((a) => a.name === name)
+  }
+
+  removeAttribute(name) {
+    const index = this.attrs.findIndex((a) => a.name === name)
+    if (index !== -1) this.attrs.splice(index, 1)
+  }
+}
+
+/**
+ * Attribute given to the `attr` hooks.
+ * @private
+ */
+class StreamAttr {
+  constructor(node, attr, options) {
+    this.node = node
+    this.attr = attr
+    this.attrs = node.attrs
+    this.options = options
+    this.deleted = false
+  }
+
+  get name() {
+    return this.attr.name
+  }
+
+  set name(name) {
+    this.attr.name = name
+  }
+
+  get value() {
+    return this.attr.value
+  }
+
+  set value(value) {
+    this.attr.value = value
+  }
+
+  delete() {
+    const index = this.attrs.indexOf(this.attr)
+    if (index !== -1) this.attrs.splice(index, 1)
+    this.deleted = true
+    return true
+  }
+}
+
+self.ShaderHtmlStream = ShaderHtmlStream
+export { ShaderHtmlStream }
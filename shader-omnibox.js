@@ -0,0 +1,262 @@
+import { ShaderPolicy } from './shader-policy.js'
+
+/**
+ * ShaderOmnibox - Address bar suggestion engine
+ *
+ * Ranks bookmarks, browsing history and open surfaces against the text typed in
+ * the address bar, optionally mixed with search suggestions fetched through the
+ * proxy transport.
+ */
+class ShaderOmnibox {
+  /**
+   * Suggestion types, in display priority order.
+   * @readonly
+   */
+  static get TYPES() {
+    return {
+      INPUT: 'input',
+      SURFACE: 'surface',
+      BOOKMARK: 'bookmark',
+      HISTORY: 'history',
+      SEARCH: 'search',
+    }
+  }
+
+  /**
+   * Creates an instance of ShaderOmnibox.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {ShaderCanvas} [options.canvas] - Canvas whose open surfaces are suggested.
+   * @param {ShaderHistory} [options.history] - History store to search.
+   * @param {function(): Array<{name: string, url: string, icon?: string}>} [options.bookmarks] - Returns the current bookmarks.
+   * @param {string|function(string): Promise<string[]>} [options.suggestProvider] - OpenSearch suggest URL template (`%s` is the query) or a custom provider.
+   * @param {ShaderSearchEngines} [options.searchEngines] - Registry whose selected engine provides suggestions when no provider is set.
+   * @param {ShaderPolicy} [options.policy] - Loaded policy suggest URLs are checked against (defaults to `__uv$config.policy`).
+   * @param {number} [options.limit=8] - Maximum number of suggestions.
+   */
+  constructor(options = {}) {
+    this.options = {
+      canvas: null,
+      history: null,
+      bookmarks: () => [],
+      suggestProvider: null,
+      searchEngines: null,
+      policy: null,
+      limit: 8,
+      ...options,
+    }
+
+    this._bareClient = null
+    this._policy = this.options.policy ? Promise.resolve(this.options.policy) : null
+  }
+
+  /**
+   * @typedef {Object} ShaderSuggestion
+   * @property {string} type - One of ShaderOmnibox.TYPES.
+   * @property {string} url - The URL (or raw input) to navigate to.
+   * @property {string} title - Display text.
+   * @property {string} [favicon] - Icon URL, if known.
+   * @property {string} [surfaceId] - Surface to switch to, for open surfaces.
+   * @property {number} score - Ranking score (higher is better).
+   */
+
+  /**
+   * Sets (or clears) the search suggestion provider.
+   * @param {string|function(string): Promise<string[]>|null} provider - Suggest URL template or provider function.
+   */
+  setSuggestProvider(provider) {
+    this.options.suggestProvider = provider
+  }
+
+  /**
+   * Computes ranked suggestions for the given input.
+   * @param {string} input - The raw address bar text.
+   * @returns {Promise<ShaderSuggestion[]>}
+   */
+  async suggest(input) {
+    const query = input.trim()
+    if (!query) return []
+
+    const [history, searches] = await Promise.all([
+      this._historySuggestions(query),
+      this._searchSuggestions(query),
+    ])
+
+    const ranked = [...this._surfaceSuggestions(query), ...this._bookmarkSuggestions(query), ...history]
+
+    // Keep the best-scored suggestion for each URL
+    const byUrl = new Map()
+    for (const suggestion of ranked) {
+      const key = this._normalize(suggestion.url)
+      const existing = byUrl.get(key)
+      if (!existing || existing.score < suggestion.score) byUrl.set(key, suggestion)
+    }
+
+    // Always leave room for a couple of search suggestions
+    const phrases = searches.filter((s) => s.url !== query)
+    const slots = this.options.limit - 1
+    const results = Array.from(byUrl.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, slots - Math.min(2, phrases.length))
+
+    const typed = { type: ShaderOmnibox.TYPES.INPUT, url: query, title: query, score: Infinity }
+    return [typed, ...results, ...phrases.slice(0, slots - results.length)]
+  }
+
+  /**
+   * Suggests open surfaces.
+   * @private
+   */
+  _surfaceSuggestions(query) {
+    if (!this.options.canvas) return []
+
+    return Array.from(this.options.canvas.surfaces.values())
+      .filter((surface) => surface.id !== this.options.canvas.activeSurfaceId && /^https?:/.test(surface.url || ''))
+      .map((surface) => ({
+        type: ShaderOmnibox.TYPES.SURFACE,
+        url: surface.url,
+        title: surface.title,
+        favicon: surface.favicon,
+        surfaceId: surface.id,
+        score: this._match(query, surface.url, surface.title) * 2.5,
+      }))
+      .filter((s) => s.score > 0)
+  }
+
+  /**
+   * Suggests bookmarks.
+   * @private
+   */
+  _bookmarkSuggestions(query) {
+    return this.options
+      .bookmarks()
+      .map((bm) => ({
+        type: ShaderOmnibox.TYPES.BOOKMARK,
+        url: bm.url,
+        title: bm.name,
+        favicon: bm.icon || '',
+        score: this._match(query, bm.url, bm.name) * 3,
+      }))
+      .filter((s) => s.score > 0)
+  }
+
+  /**
+   * Suggests history entries, boosted by visit count and recency.
+   * @private
+   */
+  async _historySuggestions(query) {
+    if (!this.options.history) return []
+
+    let visits = []
+    try {
+      visits = await this.options.history.query({ text: query, limit: 200 })
+    } catch (e) {
+      console.warn('Omnibox history lookup failed:', e)
+      return []
+    }
+
+    const grouped = new Map()
+    for (const visit of visits) {
+      const entry = grouped.get(visit.url)
+      if (entry) {
+        entry.count++
+      } else {
+        grouped.set(visit.url, { visit, count: 1 })
+      }
+    }
+
+    const now = Date.now()
+    return Array.from(grouped.values())
+      .map(({ visit, count }) => {
+        const ageDays = (now - visit.visitTime) / 864e5
+        const boost = 1 + Math.log2(1 + count) / 4 + (ageDays < 1 ? 0.25 : ageDays < 7 ? 0.1 : 0)
+        return {
+          type: ShaderOmnibox.TYPES.HISTORY,
+          url: visit.url,
+          title: visit.title || visit.url,
+          favicon: visit.favicon,
+          score: this._match(query, visit.url, visit.title) * 2 * boost,
+        }
+      })
+      .filter((s) => s.score > 0)
+  }
+
+  /**
+   * Fetches search suggestions from the provider, through the proxy transport.
+   * @private
+   */
+  async _searchSuggestions(query) {
+    const engine = this.options.searchEngines && this.options.searchEngines.getDefault()
+    const provider = this.options.suggestProvider || (engine && engine.suggestUrl)
+    if (!provider) return []
+
+    try {
+      const phrases = typeof provider === 'function' ? await provider(query) : await this._fetchSuggestions(provider, query)
+
+      return phrases.map((phrase, i) => ({
+        type: ShaderOmnibox.TYPES.SEARCH,
+        url: phrase,
+        title: phrase,
+        score: 1 - i / 100,
+      }))
+    } catch (e) {
+      console.warn('Search suggestions failed:', e)
+      return []
+    }
+  }
+
+  /**
+   * Requests an OpenSearch suggestions document (`[query, [phrases...]]`) via BareMux.
+   * Suggest URLs denied by the administrator policy are not requested.
+   * @private
+   */
+  async _fetchSuggestions(template, query) {
+    if (!window.BareMux) return []
+
+    const url = template.replace('%s', encodeURIComponent(query))
+    if (!this._policy) this._policy = new ShaderPolicy().load()
+    const verdict = (await this._policy).evaluate(url)
+    if (!verdict.allowed) return []
+
+    if (!this._bareClient) this._bareClient = new window.BareMux.BareClient()
+    const response = await this._bareClient.fetch(url)
+    if (!response.ok) throw new Error(`Suggest request failed: ${response.status}`)
+
+    const data = await response.json()
+    return Array.isArray(data) && Array.isArray(data[1]) ? data[1].filter((p) => typeof p === 'string') : []
+  }
+
+  /**
+   * Scores how well a URL/title matches the query (0 when it does not match).
+   * @private
+   */
+  _match(query, url = '', title = '') {
+    const q = query.toLowerCase()
+    const u = this._normalize(url)
+    const t = (title || '').toLowerCase()
+
+    if (u.startsWith(q)) return 1
+    if (t.startsWith(q)) return 0.8
+    if (u.split(/[./?#&=-]/).some((part) => part.startsWith(q)) || t.split(/\s+/).some((w) => w.startsWith(q))) {
+      return 0.6
+    }
+    if (u.includes(q) || t.includes(q)) return 0.4
+
+    const words = q.split(/\s+/).filter(Boolean)
+    if (words.length > 1 && words.every((w) => u.includes(w) || t.includes(w))) return 0.3
+    return 0
+  }
+
+  /**
+   * Strips the scheme, `www.` and trailing slash for comparisons.
+   * @private
+   */
+  _normalize(url = '') {
+    return url
+      .toLowerCase()
+      .replace(/^https?:\/\/(www\.)?/, '')
+      .replace(/\/$/, '')
+  }
+}
+
+window.ShaderOmnibox = ShaderOmnibox
+export { ShaderOmnibox }
@@ -0,0 +1,188 @@
+/**
+ * ShaderPlugins - Service Worker plugin host
+ *
+ * Runs the plugins declared in `__uv$config.plugins` on the UVServiceWorker
+ * `request`, `beforemod` and `response` events. Each plugin can hook the proxied
+ * request, the response headers and the (rewritten) response body. Hooks run in
+ * plugin order and may be async.
+ *
+ * Plugins are enabled by default (or per `enabled`) and can be switched per surface
+ * with the `plugin_<name>` scope setting (see ShaderClient#setPluginEnabled).
+ */
+class ShaderPlugins {
+  /**
+   * Hook names, in the order they run for a request.
+   * @readonly
+   */
+  static get HOOKS() {
+    return {
+      REQUEST: 'request',
+      RESPONSE_HEADERS: 'responseHeaders',
+      RESPONSE_BODY: 'responseBody',
+    }
+  }
+
+  /**
+   * @typedef {Object} ShaderPlugin
+   * @property {string} name - Unique name (letters, digits, `_` and `-`).
+   * @property {string} [description] - Shown in plugin lists.
+   * @property {number} [order=0] - Lower runs first. Plugins with the same order run in declaration order.
+   * @property {boolean} [enabled=true] - Whether the plugin runs on surfaces that do not choose.
+   * @property {Object} [options] - Passed to every hook as `context.options`.
+   * @property {function(ShaderPluginContext): (Response|void|Promise<Response|void>)} [request] - Called before the
+   *   request is sent. May edit `context.request` (headers, method, body) or return a Response to answer it.
+   * @property {function(ShaderPluginContext): (Response|void|Promise<Response|void>)} [responseHeaders] - Called when
+   *   the response arrives, before it is rewritten. May edit `context.response` (headers, status) or return a Response.
+   * @property {function(ShaderPluginContext): (string|void|Promise<string|void>)} [responseBody] - Called with the
+   *   rewritten body of HTML, JavaScript and CSS responses (`context.body`). Returns the new body, if changed.
+   *   HTML documents are otherwise streamed (see shader-htmlstream.js); this hook makes them wait for the whole body.
+   */
+
+  /**
+   * @typedef {Object} ShaderPluginContext
+   * @property {URL} url - The proxied URL.
+   * @property {string} destination - The request destination ('document', 'script', ...).
+   * @property {Object} surface - Scope settings of the requesting surface.
+   * @property {Object} options - The plugin's options.
+   * @property {Object} request - The proxied request (url, method, headers, body).
+   * @property {Object} [response] - The response (status, statusText, headers), for response hooks.
+   * @property {string} [body] - The response body, for responseBody hooks.
+   */
+
+  /**
+   * Creates an instance of ShaderPlugins and attaches it to a Service Worker.
+   * @param {UVServiceWorker} worker - The worker whose events are hooked.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {ShaderPlugin[]} [options.plugins=__uv$config.plugins] - Plugins to register.
+   */
+  constructor(worker, options = {}) {
+    this.options = {
+      plugins: (self.__uv$config && self.__uv$config.plugins) || [],
+      ...options,
+    }
+
+    this.worker = worker
+    this.plugins = []
+    this.options.plugins.forEach((plugin) => this.register(plugin))
+
+    worker.on('request', (event) => this._dispatch(ShaderPlugins.HOOKS.REQUEST, event))
+    worker.on('beforemod', (event) => this._dispatch(ShaderPlugins.HOOKS.RESPONSE_HEADERS, event))
+    worker.on('response', (event) => this._dispatch(ShaderPlugins.HOOKS.RESPONSE_BODY, event))
+  }
+
+  /**
+   * Registers (or replaces) a plugin.
+   * @param {ShaderPlugin} plugin - The plugin.
+   */
+  register(plugin) {
+    if (!plugin || !/^[\w-]+$/.test(plugin.name || '')) {
+      throw new Error('A plugin needs a name made of letters, digits, _ and -')
+    }
+    const hooks = Object.values(ShaderPlugins.HOOKS)
+    if (!hooks.some((hook) => typeof plugin[hook] === 'function')) {
+      throw new Error(`Plugin ${plugin.name} has no hooks (${hooks.join(', ')})`)
+    }
+
+    this.unregister(plugin.name)
+    this.plugins.push(plugin)
+    // Array#sort is stable, so equal orders keep their declaration order
+    this.plugins.sort((a, b) => (a.order || 0) - (b.order || 0))
+  }
+
+  /**
+   * Removes a plugin.
+   * @param {string} name - The plugin name.
+   * @returns {boolean} Whether a plugin was removed.
+   */
+  unregister(name) {
+    const index = this.plugins.findIndex((plugin) => plugin.name === name)
+    if (index === -1) return false
+    this.plugins.splice(index, 1)
+    return true
+  }
+
+  /**
+   * Returns the registered plugins, in run order.
+   * @returns {Array<{name: string, description: string, order: number, enabled: boolean}>}
+   */
+  list() {
+    return this.plugins.map((plugin) => ({
+      name: plugin.name,
+      description: plugin.description || '',
+      order: plugin.order || 0,
+      enabled: plugin.enabled !== false,
+    }))
+  }
+
+  /**
+   * Whether a plugin runs for a surface.
+   * @param {ShaderPlugin} plugin - The plugin.
+   * @param {Object} [scope={}] - Scope settings of the surface.
+   * @returns {boolean}
+   */
+  isEnabled(plugin, scope = {}) {
+    const setting = scope['plugin_' + plugin.name]
+    return setting === undefined ? plugin.enabled !== false : setting === '1'
+  }
+
+  /**
+   * Runs one hook of every enabled plugin for a worker event.
+   * @private
+   * @param {string} hook - One of ShaderPlugins.HOOKS.
+   * @param {Object} event - The worker event (`data` is the request, or the response).
+   */
+  _dispatch(hook, event) {
+    const isRequest = hook === ShaderPlugins.HOOKS.REQUEST
+    const request = isRequest ? event.data : event.data.request
+    const response = isRequest ? null : event.data
+    const scope = request.vector.scope || {}
+
+    const plugins = this.plugins.filter((plugin) => typeof plugin[hook] === 'function' && this.isEnabled(plugin, scope))
+    if (!plugins.length) return
+    // Rewritten HTML documents are streams; other streams are bodies left as they came (images, media...)
+    const streamed =
+      !!response &&
+      response.body instanceof ReadableStream &&
+      ['document', 'iframe'].includes(request.request.destination) &&
+      /^text\/html/.test(response.headers['content-type'] || '')
+    if (hook === ShaderPlugins.HOOKS.RESPONSE_BODY && typeof response.body !== 'string' && !streamed) return
+
+    event.waitUntil(
+      (async () => {
+        // Streamed documents are read whole for the body hooks
+        if (hook === ShaderPlugins.HOOKS.RESPONSE_BODY && streamed) response.body = await new Response(response.body).text()
+
+        for (const plugin of plugins) {
+          const context = {
+            url: request.url,
+            destination: request.request.destination,
+            surface: { ...scope },
+            options: plugin.options || {},
+            request,
+            response,
+            body: response ? response.body : undefined,
+          }
+
+          let result
+          try {
+            result = await plugin[hook](context)
+          } catch (err) {
+            // A broken plugin must not break browsing
+            console.error(`[SW] Plugin ${plugin.name} failed in ${hook}:`, err)
+            continue
+          }
+
+          if (hook === ShaderPlugins.HOOKS.RESPONSE_BODY) {
+            if (typeof result === 'string') response.body = result
+          } else if (result instanceof Response) {
+            event.respondWith(result)
+            return
+          }
+        }
+      })()
+    )
+  }
+}
+
+self.ShaderPlugins = ShaderPlugins
+export { ShaderPlugins }
@@ -0,0 +1,238 @@
+/**
+ * ShaderPolicy - Administrator allow/deny policy
+ *
+ * Reads a signed policy file (`shader.policy.json`, next to shader.config.mjs) and decides
+ * which URLs may be proxied. The same policy is enforced by ShaderClient#navigate, by the
+ * kernel for every request (documents and subresources) and by the page handler for
+ * WebSockets, which do not go through the Service Worker.
+ *
+ * The file holds the policy as a JSON string and its signature:
+ *
+ *   { "payload": "{\"version\":1,\"default\":\"allow\",\"rules\":[...]}", "signature": "<base64>" }
+ *
+ * The signature is ECDSA P-256 / SHA-256 (raw r|s, as produced by WebCrypto) over the UTF-8
+ * payload, checked against `__uv$config.policy.publicKey`. See tools/sign-policy.mjs.
+ * A policy that is missing, unsigned, tampered with or expired denies everything.
+ */
+class ShaderPolicy {
+  /**
+   * Rule actions.
+   * @readonly
+   */
+  static get ACTIONS() {
+    return {
+      ALLOW: 'allow',
+      DENY: 'deny',
+    }
+  }
+
+  /**
+   * @typedef {Object} ShaderPolicyRule
+   * @property {string} action - One of ShaderPolicy.ACTIONS.
+   * @property {string} [host] - Hostname glob. `*` matches any characters; `*.example.com` also matches example.com.
+   * @property {string} [regex] - Regular expression tested against the full URL (case-insensitive).
+   * @property {string} [category] - Name of a category of the policy.
+   * @property {string} [comment] - Free text, for administrators.
+   */
+
+  /**
+   * @typedef {Object} ShaderPolicyDocument
+   * @property {number} version - Always 1.
+   * @property {string} [name] - Name of the policy (e.g. the organization).
+   * @property {string} [default='allow'] - Action for URLs no rule matches.
+   * @property {Object<string, string[]>} [categories] - Host globs by category name.
+   * @property {ShaderPolicyRule[]} rules - Rules, in order: the first matching rule decides.
+   * @property {string} [expires] - ISO date after which the policy denies everything.
+   */
+
+  /**
+   * @typedef {Object} ShaderPolicyVerdict
+   * @property {boolean} allowed - Whether the URL may be proxied.
+   * @property {string} action - The applied action.
+   * @property {ShaderPolicyRule|null} rule - The matching rule, or null for the default action.
+   * @property {string|null} policy - Name of the policy.
+   */
+
+  /**
+   * Creates an instance of ShaderPolicy.
+   * @param {Object} [options={}] - Configuration options (defaults to `__uv$config.policy`).
+   * @param {string} [options.url] - URL of the signed policy file.
+   * @param {JsonWebKey|null} [options.publicKey=null] - ECDSA P-256 public key. Without one, no policy is enforced.
+   */
+  constructor(options = {}) {
+    this.options = {
+      url: 'shader.policy.json',
+      publicKey: null,
+      ...((self.__uv$config && self.__uv$config.policy) || {}),
+      ...options,
+    }
+
+    this.policy = null
+    this.rules = []
+    this.error = null
+    this._patterns = []
+  }
+
+  /**
+   * Whether a policy is configured (a public key is set).
+   * @type {boolean}
+   */
+  get enabled() {
+    return !!this.options.publicKey
+  }
+
+  /**
+   * Fetches, verifies and compiles the policy. Never throws: on failure `error` is set and
+   * every URL is denied.
+   * @returns {Promise<ShaderPolicy>}
+   */
+  async load() {
+    this.policy = null
+    this.rules = []
+    this.error = null
+    this._patterns = []
+    if (!this.enabled) return this
+
+    try {
+      const response = await fetch(this.options.url, { cache: 'no-store' })
+      if (!response.ok) throw new Error(`Policy file responded with ${response.status}`)
+
+      const { payload, signature } = await response.json()
+      if (typeof payload !== 'string' || typeof signature !== 'string') {
+        throw new Error('Policy file must contain a payload string and a signature')
+      }
+      if (!(await ShaderPolicy.verify(payload, signature, this.options.publicKey))) {
+        throw new Error('Policy signature is invalid')
+      }
+
+      const policy = JSON.parse(payload)
+      if (policy.version !== 1 || !Array.isArray(policy.rules)) throw new Error('Unsupported policy version')
+      this.rules = policy.rules.map((rule) => this._compile(rule, policy.categories || {}))
+      this._patterns = this.rules.map((rule) => new RegExp(rule.source, 'i'))
+      this.policy = policy
+    } catch (e) {
+      console.error('Failed to load the policy, denying every URL:', e)
+      this.error = e
+    }
+    return this
+  }
+
+  /**
+   * Verifies a policy signature.
+   * @param {string} payload - The signed JSON text.
+   * @param {string} signature - Base64 signature (raw r|s).
+   * @param {JsonWebKey} publicKey - ECDSA P-256 public key.
+   * @returns {Promise<boolean>}
+   */
+  static async verify(payload, signature, publicKey) {
+    const algorithm = { name: 'ECDSA', namedCurve: 'P-256' }
+    const key = await crypto.subtle.importKey('jwk', publicKey, algorithm, false, ['verify'])
+    const bytes = Uint8Array.from(atob(signature), (c) => c.charCodeAt(0))
+    return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, bytes, new TextEncoder().encode(payload))
+  }
+
+  /**
+   * Decides whether a URL may be proxied.
+   * @param {URL|string} url - The (decoded) URL, including ws: and wss: URLs.
+   * @returns {ShaderPolicyVerdict}
+   */
+  evaluate(url) {
+    const compiled = this.toJSON()
+    const href = ShaderPolicy.normalize(url)
+    const index = compiled.rules.length ? this._patterns.findIndex((pattern) => pattern.test(href)) : -1
+    const action = index === -1 ? compiled.default : compiled.rules[index].action
+    return {
+      allowed: action === ShaderPolicy.ACTIONS.ALLOW,
+      action,
+      rule: index === -1 ? null : this.policy.rules[index],
+      policy: compiled.name,
+    }
+  }
+
+  /**
+   * The URL text rules are tested against. A trailing dot is dropped from the hostname, since
+   * `example.com.` resolves to the same site as `example.com`.
+   * @param {URL|string} url - The URL.
+   * @returns {string}
+   */
+  static normalize(url) {
+    try {
+      url = new URL(url)
+    } catch (e) {
+      return String(url)
+    }
+    if (url.hostname.endsWith('.')) url.hostname = url.hostname.slice(0, -1)
+    return url.href
+  }
+
+  /**
+   * Serializable form of the policy: each rule compiled to a URL RegExp source, tested in
+   * order (case-insensitive). The kernel bakes it into proxied pages for the handler.
+   * Without a valid policy (but with one configured), denies everything.
+   * @returns {{name: string|null, default: string, rules: Array<{action: string, source: string}>}}
+   */
+  toJSON() {
+    const { ALLOW, DENY } = ShaderPolicy.ACTIONS
+    if (!this.enabled) return { name: null, default: ALLOW, rules: [] }
+    if (!this.policy || this._expired()) return { name: null, default: DENY, rules: [] }
+
+    return {
+      name: this.policy.name || null,
+      default: this.policy.default === DENY ? DENY : ALLOW,
+      rules: this.rules,
+    }
+  }
+
+  /**
+   * Whether the policy is past its expiry date.
+   * @private
+   */
+  _expired() {
+    return !!this.policy.expires && Date.now() > Date.parse(this.policy.expires)
+  }
+
+  /**
+   * Compiles a rule to a RegExp source over the full URL.
+   * @private
+   * @param {ShaderPolicyRule} rule - The rule.
+   * @param {Object<string, string[]>} categories - Host globs by category.
+   * @returns {{action: string, source: string}}
+   */
+  _compile(rule, categories) {
+    if (!Object.values(ShaderPolicy.ACTIONS).includes(rule.action)) {
+      throw new Error(`Invalid policy action: ${rule.action}`)
+    }
+
+    let hosts = null
+    if (rule.host) {
+      hosts = [rule.host]
+    } else if (rule.category) {
+      if (!Array.isArray(categories[rule.category])) throw new Error(`Unknown policy category: ${rule.category}`)
+      hosts = categories[rule.category]
+    } else if (!rule.regex) {
+      throw new Error('A policy rule needs a host, a regex or a category')
+    }
+
+    let source = rule.regex
+    if (hosts) {
+      // Matches the hostname of any scheme, skipping credentials and the port
+      const alternatives = hosts.map((glob) => this._hostSource(glob)).join('|')
+      source = `^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#@]*@)?(?:${alternatives})(?::\\d+)?(?:[\\/?#]|$)`
+    }
+    return { action: rule.action, source }
+  }
+
+  /**
+   * Converts a hostname glob to a RegExp source.
+   * @private
+   */
+  _hostSource(glob) {
+    glob = glob.trim().toLowerCase()
+    const apex = glob.startsWith('*.')
+    const escaped = (apex ? glob.slice(2) : glob).replace(/[.+?^${}()|[\]\\/]/g, '\\$&').replace(/\*/g, '[^\\/?#:@]*')
+    return (apex ? '(?:[^\\/?#:@]+\\.)?' : '') + escaped
+  }
+}
+
+self.ShaderPolicy = ShaderPolicy
+export { ShaderPolicy }
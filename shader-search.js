@@ -0,0 +1,292 @@
+/**
+ * ShaderSearchEngines - Registry of named search engines
+ *
+ * Resolves address bar input into search URLs, including DuckDuckGo-style
+ * `!bang` shortcuts. Custom engines and the selected default are persisted in localStorage.
+ */
+class ShaderSearchEngines {
+  /**
+   * Available events that can be subscribed to.
+   * @readonly
+   */
+  static get EVENTS() {
+    return {
+      ENGINES_CHANGE: 'enginesChange',
+      DEFAULT_CHANGE: 'defaultChange',
+    }
+  }
+
+  /**
+   * Engines shipped with Shuttle. These cannot be removed.
+   * @readonly
+   */
+  static get BUILTIN() {
+    return [
+      {
+        id: 'duckduckgo',
+        name: 'DuckDuckGo',
+        template: 'https://duckduckgo.com/?q=%s',
+        suggestUrl: 'https://duckduckgo.com/ac/?q=%s&type=list',
+        icon: 'https://duckduckgo.com/favicon.ico',
+        bang: 'ddg',
+      },
+      {
+        id: 'google',
+        name: 'Google',
+        template: 'https://www.google.com/search?q=%s',
+        suggestUrl: 'https://suggestqueries.google.com/complete/search?client=firefox&q=%s',
+        icon: 'https://www.google.com/favicon.ico',
+        bang: 'g',
+      },
+      {
+        id: 'bing',
+        name: 'Bing',
+        template: 'https://www.bing.com/search?q=%s',
+        suggestUrl: 'https://api.bing.com/osjson.aspx?query=%s',
+        icon: 'https://www.bing.com/favicon.ico',
+        bang: 'b',
+      },
+      {
+        id: 'brave',
+        name: 'Brave Search',
+        template: 'https://search.brave.com/search?q=%s',
+        suggestUrl: 'https://search.brave.com/api/suggest?q=%s',
+        icon: 'https://search.brave.com/favicon.ico',
+        bang: 'brave',
+      },
+      {
+        id: 'startpage',
+        name: 'Startpage',
+        template: 'https://www.startpage.com/do/search?q=%s',
+        suggestUrl: null,
+        icon: 'https://www.startpage.com/favicon.ico',
+        bang: 'sp',
+      },
+      {
+        id: 'wikipedia',
+        name: 'Wikipedia',
+        template: 'https://en.wikipedia.org/w/index.php?search=%s',
+        suggestUrl: 'https://en.wikipedia.org/w/api.php?action=opensearch&search=%s',
+        icon: 'https://en.wikipedia.org/favicon.ico',
+        bang: 'w',
+      },
+      {
+        id: 'youtube',
+        name: 'YouTube',
+        template: 'https://www.youtube.com/results?search_query=%s',
+        suggestUrl: null,
+        icon: 'https://www.youtube.com/favicon.ico',
+        bang: 'yt',
+      },
+      {
+        id: 'github',
+        name: 'GitHub',
+        template: 'https://github.com/search?q=%s',
+        suggestUrl: null,
+        icon: 'https://github.com/favicon.ico',
+        bang: 'gh',
+      },
+    ]
+  }
+
+  /**
+   * @typedef {Object} ShaderSearchEngine
+   * @property {string} id - Unique identifier (e.g. 'duckduckgo').
+   * @property {string} name - Display name.
+   * @property {string} template - Search URL template; `%s` is replaced with the query.
+   * @property {string|null} [suggestUrl] - OpenSearch suggestions URL template.
+   * @property {string} [icon] - Icon URL.
+   * @property {string} [bang] - Keyword used for `!bang` shortcuts.
+   * @property {boolean} [builtin] - Whether the engine ships with Shuttle.
+   */
+
+  /**
+   * Creates an instance of ShaderSearchEngines.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.storageKey='shader_search_engines'] - localStorage key for custom engines.
+   * @param {string} [options.defaultKey='shader_search_engine'] - localStorage key for the selected engine.
+   * @param {string} [options.defaultEngine='duckduckgo'] - Engine used when none has been selected.
+   */
+  constructor(options = {}) {
+    this.options = {
+      storageKey: 'shader_search_engines',
+      defaultKey: 'shader_search_engine',
+      defaultEngine: 'duckduckgo',
+      ...options,
+    }
+
+    this.listeners = {}
+    this.engines = new Map()
+
+    ShaderSearchEngines.BUILTIN.forEach((engine) => this.engines.set(engine.id, { ...engine, builtin: true }))
+
+    try {
+      const custom = JSON.parse(localStorage.getItem(this.options.storageKey)) || []
+      custom.forEach((engine) => this.engines.set(engine.id, { ...engine, builtin: false }))
+    } catch (e) {
+      console.warn('Failed to load custom search engines:', e)
+    }
+
+    this.defaultId = localStorage.getItem(this.options.defaultKey) || this.options.defaultEngine
+  }
+
+  /**
+   * Returns every registered engine.
+   * @returns {ShaderSearchEngine[]}
+   */
+  list() {
+    return Array.from(this.engines.values()).map((engine) => ({ ...engine }))
+  }
+
+  /**
+   * Returns an engine by ID.
+   * @param {string} id - The engine ID.
+   * @returns {ShaderSearchEngine|null}
+   */
+  get(id) {
+    return this.engines.get(id) || null
+  }
+
+  /**
+   * Returns the selected engine.
+   * @returns {ShaderSearchEngine|null}
+   */
+  getDefault() {
+    return this.get(this.defaultId)
+  }
+
+  /**
+   * Adds (or replaces) a custom engine.
+   * @param {ShaderSearchEngine} engine - The engine definition.
+   * @emits enginesChange
+   */
+  add(engine) {
+    if (!engine || !engine.id || !engine.template || !engine.template.includes('%s')) {
+      throw new Error('A search engine needs an id and a template containing %s')
+    }
+    if (this.engines.has(engine.id) && this.engines.get(engine.id).builtin) {
+      throw new Error(`Cannot replace built-in search engine: ${engine.id}`)
+    }
+
+    this.engines.set(engine.id, {
+      id: engine.id,
+      name: engine.name || engine.id,
+      template: engine.template,
+      suggestUrl: engine.suggestUrl || null,
+      icon: engine.icon || '',
+      bang: engine.bang || '',
+      builtin: false,
+    })
+    this._save()
+    this.emit(ShaderSearchEngines.EVENTS.ENGINES_CHANGE, this.list())
+  }
+
+  /**
+   * Removes a custom engine. Falls back to the default engine if it was selected.
+   * @param {string} id - The engine ID.
+   * @returns {boolean} Whether an engine was removed.
+   * @emits enginesChange
+   */
+  remove(id) {
+    const engine = this.engines.get(id)
+    if (!engine || engine.builtin) return false
+
+    this.engines.delete(id)
+    this._save()
+    if (this.defaultId === id) this.setDefault(this.options.defaultEngine)
+    this.emit(ShaderSearchEngines.EVENTS.ENGINES_CHANGE, this.list())
+    return true
+  }
+
+  /**
+   * Selects the engine used for plain searches.
+   * @param {string} id - The engine ID.
+   * @emits defaultChange
+   */
+  setDefault(id) {
+    if (!this.engines.has(id)) throw new Error(`Unknown search engine: ${id}`)
+
+    this.defaultId = id
+    localStorage.setItem(this.options.defaultKey, id)
+    this.emit(ShaderSearchEngines.EVENTS.DEFAULT_CHANGE, id)
+  }
+
+  /**
+   * Builds a search URL for a query.
+   * @param {string} query - The search terms.
+   * @param {string} [id=this.defaultId] - The engine ID.
+   * @returns {URL|null} The search URL, or null if the engine is unknown.
+   */
+  searchUrl(query, id = this.defaultId) {
+    const engine = this.get(id)
+    if (!engine) return null
+    return new URL(engine.template.replace('%s', encodeURIComponent(query)))
+  }
+
+  /**
+   * Resolves a `!bang` shortcut, either leading (`!w cats`) or trailing (`cats !w`).
+   * A bang without a query opens the engine's home page.
+   * @param {string} input - The raw user input.
+   * @returns {URL|null} The resolved URL, or null if the input has no known bang.
+   */
+  resolveBang(input) {
+    const match = input.match(/^!(\S+)\s*(.*)$/) || input.match(/^(.*?)\s+!(\S+)$/)
+    if (!match) return null
+
+    const [keyword, query] = input.startsWith('!') ? [match[1], match[2]] : [match[2], match[1]]
+    const engine = Array.from(this.engines.values()).find((e) => e.bang && e.bang === keyword.toLowerCase())
+    if (!engine) return null
+
+    return query.trim() ? this.searchUrl(query.trim(), engine.id) : new URL(new URL(engine.template).origin)
+  }
+
+  /**
+   * Persists custom engines.
+   * @private
+   */
+  _save() {
+    const custom = this.list()
+      .filter((engine) => !engine.builtin)
+      .map(({ builtin, ...engine }) => engine)
+    localStorage.setItem(this.options.storageKey, JSON.stringify(custom))
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - The name of the event (use ShaderSearchEngines.EVENTS).
+   * @param {function} callback - The function to call when the event is emitted.
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(callback)
+  }
+
+  /**
+   * Removes an event listener.
+   * @param {string} event - The name of the event.
+   * @param {function} callback - The callback passed to on().
+   */
+  off(event, callback) {
+    if (!this.listeners[event]) return
+    this.listeners[event] = this.listeners[event].filter((listener) => listener !== callback)
+  }
+
+  /**
+   * Emits an event to registered listeners.
+   * @private
+   * @param {string} event - The name of the event.
+   * @param {*} data - The data to pass to listeners.
+   */
+  emit(event, data) {
+    if (!this.listeners[event]) return
+    this.listeners[event].forEach((callback) => callback(data))
+  }
+}
+
+/**
+ * Registry shared by every ShaderClient on the page.
+ */
+const searchEngines = new ShaderSearchEngines()
+
+window.ShaderSearchEngines = ShaderSearchEngines
+export { ShaderSearchEngines, searchEngines }
@@ -0,0 +1,537 @@
+/**
+ * ShaderSiteData - Site data manager
+ *
+ * Lists, inspects and clears what proxied sites have stored: cookies in the Vector
+ * cookie databases (`__op`, or `__op@<container>`), `__uv$<origin>@<key>` entries in
+ * the real localStorage and sessionStorage, and proxied IndexedDB databases
+ * (`<origin>@<name>`). Data of each container (see ShaderClient#setContainer) is
+ * reported separately. Private surfaces are not listed; their data never leaves memory.
+ *
+ * Open pages keep a copy of their storage and cookies, so cleared data only
+ * disappears from a page once it is reloaded.
+ */
+class ShaderSiteData {
+  /**
+   * Available events that can be subscribed to.
+   * @readonly
+   */
+  static get EVENTS() {
+    return {
+      DATA_CLEARED: 'dataCleared',
+      COOKIES_IMPORTED: 'cookiesImported',
+    }
+  }
+
+  /**
+   * Creates an instance of ShaderSiteData.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.prefix='__uv$'] - Prefix of proxied storage keys.
+   * @param {string} [options.cookieDb='__op'] - Name of the default cookie database.
+   */
+  constructor(options = {}) {
+    this.options = {
+      prefix: '__uv$',
+      cookieDb: '__op',
+      ...options,
+    }
+
+    this.listeners = {}
+  }
+
+  /**
+   * @typedef {Object} ShaderSiteSummary
+   * @property {string} origin - The site origin (cookies are reported under the origin of their domain).
+   * @property {string|null} container - The container name, or null for the default container.
+   * @property {number} cookies - Number of cookies.
+   * @property {number} localStorage - Number of localStorage entries.
+   * @property {number} sessionStorage - Number of sessionStorage entries.
+   * @property {string[]} indexedDB - IndexedDB database names, as seen by the site.
+   * @property {number} size - Approximate size of the cookies and storage entries, in characters.
+   */
+
+  /**
+   * @typedef {Object} ShaderSiteDetails
+   * @property {string} origin - The site origin.
+   * @property {string|null} container - The container name.
+   * @property {Object[]} cookies - Stored cookies (name, value, domain, path, expires, ...).
+   * @property {Object<string, string>} localStorage - localStorage entries.
+   * @property {Object<string, string>} sessionStorage - sessionStorage entries.
+   * @property {string[]} indexedDB - IndexedDB database names.
+   */
+
+  /**
+   * Lists every origin with stored data.
+   * @returns {Promise<ShaderSiteSummary[]>}
+   */
+  async list() {
+    const sites = new Map()
+    const site = (origin, container) => {
+      const key = `${container || ''} ${origin}`
+      if (!sites.has(key)) {
+        sites.set(key, { origin, container, cookies: 0, localStorage: 0, sessionStorage: 0, indexedDB: [], size: 0 })
+      }
+      return sites.get(key)
+    }
+
+    for (const area of ['localStorage', 'sessionStorage']) {
+      for (const entry of this._storage(area)) {
+        const summary = site(entry.origin, entry.container)
+        summary[area]++
+        summary.size += entry.name.length + entry.value.length
+      }
+    }
+
+    for (const db of await this._databases()) site(db.origin, db.container).indexedDB.push(db.name)
+
+    // Cookies only know their domain: report them under a known origin of that host when there is one
+    for (const { container, cookie } of await this._cookies()) {
+      const host = this._cookieHost(cookie)
+      const known = Array.from(sites.values()).find((s) => s.container === container && new URL(s.origin).hostname === host)
+      const summary = known || site('https://' + host, container)
+      summary.cookies++
+      summary.size += cookie.name.length + String(cookie.value).length
+    }
+
+    return Array.from(sites.values()).sort(
+      (a, b) => a.origin.localeCompare(b.origin) || (a.container || '').localeCompare(b.container || '')
+    )
+  }
+
+  /**
+   * Returns the data stored by an origin.
+   * @param {string} origin - The origin (or any URL on it).
+   * @param {Object} [options={}] - Lookup options.
+   * @param {string|null} [options.container=null] - The container name.
+   * @returns {Promise<ShaderSiteDetails>}
+   */
+  async inspect(origin, { container = null } = {}) {
+    origin = this._origin(origin)
+    const matches = (entry) => entry.container === container && entry.origin === origin
+    const host = new URL(origin).hostname
+
+    return {
+      origin,
+      container,
+      cookies: (await this._cookies())
+        .filter((c) => c.container === container && this._cookieHost(c.cookie) === host)
+        .map((c) => ({ ...c.cookie })),
+      localStorage: Object.fromEntries(this._storage('localStorage').filter(matches).map((e) => [e.name, e.value])),
+      sessionStorage: Object.fromEntries(this._storage('sessionStorage').filter(matches).map((e) => [e.name, e.value])),
+      indexedDB: (await this._databases()).filter(matches).map((db) => db.name),
+    }
+  }
+
+  /**
+   * Clears the data stored by an origin.
+   * @param {string} origin - The origin (or any URL on it).
+   * @param {Object} [options={}] - Options.
+   * @param {string|null} [options.container=null] - The container name.
+   * @returns {Promise<void>}
+   * @emits dataCleared
+   */
+  async clear(origin, { container = null } = {}) {
+    origin = this._origin(origin)
+    const host = new URL(origin).hostname
+
+    await this._remove(
+      (entry) => entry.container === container && entry.origin === origin,
+      (c) => c.container === container && this._cookieHost(c.cookie) === host
+    )
+    this.emit(ShaderSiteData.EVENTS.DATA_CLEARED, { origin, container })
+  }
+
+  /**
+   * Clears the data stored by every proxied site, in every container.
+   * @returns {Promise<void>}
+   * @emits dataCleared
+   */
+  async clearAll() {
+    await this._remove(() => true, () => true)
+    this.emit(ShaderSiteData.EVENTS.DATA_CLEARED, { all: true })
+  }
+
+  /**
+   * Exports cookies, for example to move a logged-in session to another device.
+   * @param {Object} [options={}] - Export options.
+   * @param {string} [options.origin] - Only export the cookies sent to this origin (or URL). All cookies if omitted.
+   * @param {string|null} [options.container=null] - The container to export from.
+   * @param {'json'|'netscape'} [options.format='json'] - `json` (browser extension style) or `netscape` (cookies.txt).
+   * @returns {Promise<string>}
+   */
+  async exportCookies({ origin, container = null, format = 'json' } = {}) {
+    const host = origin ? new URL(origin).hostname : null
+    const now = Date.now()
+    const cookies = (await this._cookies())
+      .filter((c) => c.container === container && (!host || this._domainMatch(host, this._cookieHost(c.cookie))))
+      .map((c) => c.cookie)
+      .filter((cookie) => {
+        const expires = this._expiry(cookie)
+        return expires === null || expires > now
+      })
+
+    if (format === 'netscape') {
+      const lines = cookies.map((cookie) => {
+        const expires = this._expiry(cookie)
+        return [
+          (cookie.httpOnly ? '#HttpOnly_' : '') + cookie.domain,
+          cookie.domain.startsWith('.') ? 'TRUE' : 'FALSE',
+          cookie.path || '/',
+          cookie.secure ? 'TRUE' : 'FALSE',
+          expires === null ? 0 : Math.floor(expires / 1000),
+          cookie.name,
+          cookie.value,
+        ].join('\t')
+      })
+      return ['# Netscape HTTP Cookie File', '# Exported from Shuttle', '', ...lines, ''].join('\n')
+    }
+    if (format !== 'json') throw new Error(`Unknown cookie format: ${format}`)
+
+    const sameSite = { lax: 'lax', strict: 'strict', none: 'no_restriction' }
+    return JSON.stringify(
+      cookies.map((cookie) => {
+        const expires = this._expiry(cookie)
+        return {
+          domain: cookie.domain,
+          hostOnly: !cookie.domain.startsWith('.'),
+          httpOnly: !!cookie.httpOnly,
+          name: cookie.name,
+          path: cookie.path || '/',
+          sameSite: sameSite[String(cookie.sameSite).toLowerCase()] || 'unspecified',
+          secure: !!cookie.secure,
+          session: expires === null,
+          ...(expires !== null && { expirationDate: expires / 1000 }),
+          value: cookie.value,
+        }
+      }),
+      null,
+      2
+    )
+  }
+
+  /**
+   * Imports cookies exported by exportCookies() or by a browser (cookies.txt or extension JSON).
+   * Cookies are checked against the rules applied to `set-cookie` headers: they need a name
+   * and a domain that is not a public suffix, the path defaults to `/`, `__Secure-`/`__Host-`
+   * prefixes and `SameSite=None` require `Secure`, and expired cookies are dropped. When an origin is given, cookies that
+   * would not be sent to it are rejected.
+   * @param {string} text - The exported cookies.
+   * @param {Object} [options={}] - Import options.
+   * @param {string} [options.origin] - Only accept cookies sent to this origin (or URL).
+   * @param {string|null} [options.container=null] - The container to import into.
+   * @param {'json'|'netscape'} [options.format] - Input format. Detected from the text if omitted.
+   * @returns {Promise<{imported: number, skipped: Array<{name: string, reason: string}>}>}
+   * @emits cookiesImported
+   */
+  async importCookies(text, { origin, container = null, format } = {}) {
+    const host = origin ? new URL(origin).hostname : null
+    format = format || (/^\s*[[{]/.test(text) ? 'json' : 'netscape')
+
+    const parsed = format === 'json' ? this._parseJsonCookies(text) : this._parseNetscapeCookies(text)
+    const now = Date.now()
+    const cookies = []
+    const skipped = []
+
+    for (const cookie of parsed) {
+      const reason = this._validateCookie(cookie, host, now)
+      if (reason) {
+        skipped.push({ name: cookie.name || '', reason })
+        continue
+      }
+      // Same shape as the cookies stored by Vector's setCookies(): host-only cookies keep the bare hostname
+      const { hostOnly, ...stored } = cookie
+      stored.path = stored.path || '/'
+      stored.domain = hostOnly ? stored.domain.replace(/^\./, '') : '.' + stored.domain.replace(/^\./, '')
+      stored.expiry = stored.expires ? stored.expires.getTime() : null
+      cookies.push({ ...stored, id: `${stored.domain}@${stored.path}@${stored.name}`, set: new Date(now) })
+    }
+
+    if (cookies.length) {
+      const db = container ? `${this.options.cookieDb}@${container}` : this.options.cookieDb
+      await this._cookieTransaction(db, 'readwrite', (store) => cookies.forEach((cookie) => store.put(cookie)))
+    }
+
+    this.emit(ShaderSiteData.EVENTS.COOKIES_IMPORTED, { container, imported: cookies.length, skipped })
+    return { imported: cookies.length, skipped }
+  }
+
+  /**
+   * Parses extension-style JSON cookies (an array, or an object with a `cookies` array).
+   * @private
+   */
+  _parseJsonCookies(text) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch (e) {
+      throw new Error(`Invalid cookie JSON: ${e.message}`)
+    }
+    const list = Array.isArray(data) ? data : data && Array.isArray(data.cookies) ? data.cookies : null
+    if (!list) throw new Error('Cookie JSON must be an array of cookies')
+
+    const sameSite = { lax: 'Lax', strict: 'Strict', no_restriction: 'None', none: 'None' }
+    return list.map((c) => {
+      const cookie = {
+        name: c && c.name != null ? String(c.name) : '',
+        value: c && c.value != null ? String(c.value) : '',
+        domain: c && c.domain ? String(c.domain) : '',
+        path: c && c.path ? String(c.path) : '/',
+        secure: !!(c && c.secure),
+        httpOnly: !!(c && c.httpOnly),
+        hostOnly: !!(c && c.hostOnly),
+      }
+      if (c && sameSite[String(c.sameSite).toLowerCase()]) cookie.sameSite = sameSite[String(c.sameSite).toLowerCase()]
+      if (c && !c.session && c.expirationDate != null) cookie.expires = new Date(Number(c.expirationDate) * 1000)
+      else if (c && c.expires) cookie.expires = new Date(c.expires)
+      return cookie
+    })
+  }
+
+  /**
+   * Parses a Netscape cookies.txt file.
+   * @private
+   */
+  _parseNetscapeCookies(text) {
+    const cookies = []
+    for (let line of text.split(/\r?\n/)) {
+      const httpOnly = line.startsWith('#HttpOnly_')
+      if (httpOnly) line = line.slice('#HttpOnly_'.length)
+      if (!line.trim() || line.startsWith('#')) continue
+
+      const fields = line.split('\t')
+      if (fields.length < 7) {
+        cookies.push({ name: '', invalid: 'Malformed cookies.txt line' })
+        continue
+      }
+      const [domain, subdomains, path, secure, expires, name, ...value] = fields
+      const cookie = {
+        name,
+        value: value.join('\t'),
+        domain,
+        path,
+        secure: secure.toUpperCase() === 'TRUE',
+        httpOnly,
+        hostOnly: subdomains.toUpperCase() === 'FALSE' && !domain.startsWith('.'),
+      }
+      if (Number(expires) > 0) cookie.expires = new Date(Number(expires) * 1000)
+      cookies.push(cookie)
+    }
+    return cookies
+  }
+
+  /**
+   * Returns why a parsed cookie cannot be imported, or null if it is valid.
+   * @private
+   */
+  _validateCookie(cookie, host, now) {
+    if (cookie.invalid) return cookie.invalid
+    if (!cookie.name || /[\s;=,]/.test(cookie.name)) return 'Invalid cookie name'
+    if (/[;\r\n]/.test(cookie.value)) return 'Invalid cookie value'
+    if (!/^\.?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(cookie.domain)) return 'Invalid cookie domain'
+    if (!cookie.hostOnly && this._isPublicSuffix(cookie.domain.replace(/^\./, ''))) {
+      return 'Cookie domain is a public suffix'
+    }
+    if (cookie.path && !cookie.path.startsWith('/')) return 'Cookie path must start with /'
+    if (cookie.expires && (isNaN(cookie.expires) || cookie.expires.getTime() <= now)) return 'Cookie has expired'
+    if (/^__(secure|host)-/i.test(cookie.name) && !cookie.secure) return 'Prefixed cookies must be Secure'
+    if (/^__host-/i.test(cookie.name) && (!cookie.hostOnly || (cookie.path || '/') !== '/')) {
+      return '__Host- cookies must be host-only with path /'
+    }
+    if (cookie.sameSite === 'None' && !cookie.secure) return 'SameSite=None cookies must be Secure'
+    if (host && !this._domainMatch(host, cookie.domain.replace(/^\./, ''))) return `Cookie is not sent to ${host}`
+    return null
+  }
+
+  /**
+   * Returns when a stored cookie expires (ms since epoch), or null for session cookies.
+   * @private
+   */
+  _expiry(cookie) {
+    if (cookie.expiry !== undefined) return cookie.expiry
+    if (cookie.maxAge != null && cookie.set) return new Date(cookie.set).getTime() + cookie.maxAge * 1000
+    if (cookie.expires) return new Date(cookie.expires).getTime()
+    return null
+  }
+
+  /**
+   * Whether a domain is a public suffix (`com`, `co.uk`), as the Vector bundle decides for
+   * `Domain` attributes: a cookie for it would be sent to every site under it.
+   * @private
+   */
+  _isPublicSuffix(domain) {
+    // Any subdomain of a public suffix is a registrable domain of its own
+    return self.Vector.registrableDomain('x.' + domain) === 'x.' + domain
+  }
+
+  /**
+   * Whether a host is covered by a cookie domain (the domain itself or a subdomain).
+   * @private
+   */
+  _domainMatch(host, domain) {
+    return host === domain || host.endsWith('.' + domain)
+  }
+
+  /**
+   * Deletes the storage entries, databases and cookies accepted by the filters.
+   * @private
+   */
+  async _remove(filter, cookieFilter) {
+    for (const area of ['localStorage', 'sessionStorage']) {
+      this._storage(area)
+        .filter(filter)
+        .forEach((entry) => window[area].removeItem(entry.key))
+    }
+
+    await Promise.all(
+      (await this._databases()).filter(filter).map(
+        (db) =>
+          new Promise((resolve) => {
+            const request = indexedDB.deleteDatabase(db.key)
+            // A page still holding the database open only delays the deletion
+            request.onsuccess = request.onerror = request.onblocked = () => resolve()
+          })
+      )
+    )
+
+    const cookies = (await this._cookies()).filter(cookieFilter)
+    const byDb = new Map()
+    cookies.forEach((c) => byDb.set(c.db, [...(byDb.get(c.db) || []), c.cookie.id]))
+    for (const [name, ids] of byDb) {
+      await this._cookieTransaction(name, 'readwrite', (store) => ids.forEach((id) => store.delete(id)))
+    }
+  }
+
+  /**
+   * Parses the proxied entries of a storage area.
+   * @private
+   * @param {'localStorage'|'sessionStorage'} area - The storage area.
+   * @returns {Array<{key: string, origin: string, container: string|null, name: string, value: string}>}
+   */
+  _storage(area) {
+    const storage = window[area]
+    const entries = []
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i)
+      if (!key.startsWith(this.options.prefix)) continue
+
+      const parsed = this._parseName(key.slice(this.options.prefix.length))
+      if (parsed) entries.push({ key, ...parsed, value: storage.getItem(key) })
+    }
+    return entries
+  }
+
+  /**
+   * Lists proxied IndexedDB databases.
+   * @private
+   * @returns {Promise<Array<{key: string, origin: string, container: string|null, name: string}>>}
+   */
+  async _databases() {
+    const databases = indexedDB.databases ? await indexedDB.databases() : []
+    return databases
+      .map((db) => {
+        const parsed = db.name && this._parseName(db.name)
+        return parsed && { key: db.name, ...parsed }
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * Reads every cookie database (the default one and one per container).
+   * @private
+   * @returns {Promise<Array<{db: string, container: string|null, cookie: Object}>>}
+   */
+  async _cookies() {
+    const base = this.options.cookieDb
+    let names = [base]
+    if (indexedDB.databases) {
+      names = (await indexedDB.databases()).map((db) => db.name).filter((n) => n === base || (n && n.startsWith(base + '@')))
+    }
+
+    const results = []
+    for (const name of names) {
+      const container = name === base ? null : name.slice(base.length + 1)
+      const cookies = await this._cookieTransaction(name, 'readonly', (store) => store.getAll())
+      cookies.forEach((cookie) => results.push({ db: name, container, cookie }))
+    }
+    return results
+  }
+
+  /**
+   * Runs a request against the `cookies` store of a cookie database.
+   * @private
+   * @param {string} name - The database name.
+   * @param {IDBTransactionMode} mode - Transaction mode.
+   * @param {function(IDBObjectStore): (IDBRequest|void)} fn - Builds the request.
+   * @returns {Promise<*>} The request result, once the transaction completes.
+   */
+  _cookieTransaction(name, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const open = indexedDB.open(name, 1)
+      // Same schema as the Vector bundle, in case the database did not exist yet
+      open.onupgradeneeded = () => open.result.createObjectStore('cookies', { keyPath: 'id' }).createIndex('path', 'path')
+      open.onerror = () => reject(open.error)
+      open.onsuccess = () => {
+        const db = open.result
+        const tx = db.transaction('cookies', mode)
+        const request = fn(tx.objectStore('cookies'))
+        tx.oncomplete = () => {
+          db.close()
+          resolve(request ? request.result : undefined)
+        }
+        tx.onerror = () => {
+          db.close()
+          reject(tx.error)
+        }
+      }
+    })
+  }
+
+  /**
+   * Splits a proxied storage key or database name (`[container]<origin>@<name>`).
+   * @private
+   * @returns {{origin: string, container: string|null, name: string}|null}
+   */
+  _parseName(value) {
+    const match = value.match(/^(?:\[([\w-]+)\])?(https?:\/\/[^/@]+)@([\s\S]*)$/)
+    return match ? { container: match[1] || null, origin: match[2], name: match[3] } : null
+  }
+
+  /**
+   * Returns the host a cookie belongs to.
+   * @private
+   */
+  _cookieHost(cookie) {
+    return String(cookie.domain || '').replace(/^\./, '')
+  }
+
+  /**
+   * Normalizes an origin or URL to its origin.
+   * @private
+   */
+  _origin(value) {
+    return new URL(value).origin
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - The name of the event (use ShaderSiteData.EVENTS).
+   * @param {function} callback - The function to call when the event is emitted.
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(callback)
+  }
+
+  /**
+   * Emits an event to registered listeners.
+   * @private
+   * @param {string} event - The name of the event.
+   * @param {*} data - The data to pass to listeners.
+   */
+  emit(event, data) {
+    if (!this.listeners[event]) return
+    this.listeners[event].forEach((callback) => callback(data))
+  }
+}
+
+window.ShaderSiteData = ShaderSiteData
+export { ShaderSiteData }
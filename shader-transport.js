@@ -0,0 +1,719 @@
+import { ShaderError, TimeoutError, TransportSetupError } from './shader-errors.js'
+
+/**
+ * ShaderTransport - Transport engines and endpoint failover
+ *
+ * Wraps a BareMuxConnection with a registry of transport engines (Epoxy, libcurl,
+ * Bare) and a prioritized list of endpoints for the selected engine. Endpoints are
+ * health checked, and the transport is moved to the next healthy endpoint when the
+ * active one stops answering.
+ *
+ * The Service Worker (compute.js) is the only context that calls setTransport on the
+ * shared BareMux worker. Pages (ShaderClient) negotiate with it through versioned
+ * `transportConfig` messages and follow the configuration it confirms.
+ */
+class ShaderTransport {
+  /**
+   * Available events that can be subscribed to.
+   * @readonly
+   */
+  static get EVENTS() {
+    return {
+      SWITCH: 'switch',
+      HEALTH_CHANGE: 'healthChange',
+      ENGINE_CHANGE: 'engineChange',
+      OPTIONS_CHANGE: 'optionsChange',
+    }
+  }
+
+  /**
+   * Version of the `transportConfig` message format. Bumped on incompatible changes,
+   * so a page and a Service Worker from different deployments refuse each other.
+   * @readonly
+   */
+  static get CONFIG_VERSION() {
+    return 2
+  }
+
+  /**
+   * @typedef {Object} ShaderTransportConfig
+   * @property {string} engine - The active engine ID.
+   * @property {string|null} endpoint - URL of the active endpoint, if known.
+   * @property {Object} options - Effective options of the active engine.
+   * @property {number} revision - Increases on every change; older configs are ignored.
+   */
+
+  /**
+   * Engines shipped with Shuttle. Paths are relative to the app directory and can be
+   * overridden (or new engines added) through `__uv$config.transports`.
+   * - `wisp` engines connect to the Wisp endpoints (`wisp` / `wispEndpoints`).
+   * - `bare` engines connect to the Bare server at `__uv$config.bare`.
+   * @readonly
+   */
+  static get ENGINES() {
+    return [
+      {
+        id: 'vector',
+        name: 'Epoxy (Wisp)',
+        path: 'vector/index.mjs',
+        protocol: 'wisp',
+        optionTypes: {
+          wisp_v2: 'boolean',
+          udp_extension_required: 'boolean',
+          title_case_headers: 'boolean',
+          ws_title_case_headers: 'boolean',
+          websocket_protocols: 'string[]',
+          redirect_limit: 'number',
+          header_limit: 'number',
+          user_agent: 'string',
+          buffer_size: 'number',
+        },
+      },
+      { id: 'libcurl', name: 'libcurl (Wisp)', path: 'libcurl/index.mjs', protocol: 'wisp' },
+      { id: 'bare', name: 'Bare HTTP', path: 'bare/index.mjs', protocol: 'bare' },
+    ]
+  }
+
+  /**
+   * @typedef {Object} ShaderTransportEngine
+   * @property {string} id - Unique identifier (e.g. 'vector').
+   * @property {string} name - Display name.
+   * @property {string} path - URL of the BareMux transport module, relative to the app directory.
+   * @property {string} protocol - 'wisp' or 'bare'.
+   * @property {Object} [options] - Options passed to the transport constructor (null values keep the transport default).
+   * @property {Object<string, string>} [optionTypes] - Accepted option names and types ('boolean', 'number', 'string' or 'string[]').
+   */
+
+  /**
+   * @typedef {Object} ShaderTransportEndpoint
+   * @property {string} url - The Wisp or Bare server URL.
+   * @property {number} priority - Lower values are preferred.
+   * @property {boolean|null} healthy - Result of the last health check (null until checked).
+   * @property {number|null} latency - Handshake time of the last successful check, in milliseconds.
+   * @property {number|null} lastChecked - Timestamp of the last health check.
+   */
+
+  /**
+   * Creates an instance of ShaderTransport.
+   * @param {BareMuxConnection} connection - The connection whose transport is managed.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.engine] - Engine ID. Defaults to `__uv$config.transport`, then 'vector'.
+   * @param {Array<string|{url: string, priority?: number}>} [options.endpoints] - Wisp endpoints. Defaults to the ones in `__uv$config`.
+   * @param {number} [options.healthCheckInterval=30000] - Interval between background health checks, in milliseconds (0 disables them).
+   * @param {number} [options.healthCheckTimeout=4000] - Time allowed for a WebSocket handshake, in milliseconds.
+   */
+  constructor(connection, options = {}) {
+    this.options = {
+      engine: null,
+      endpoints: null,
+      healthCheckInterval: 30000,
+      healthCheckTimeout: 4000,
+      ...options,
+    }
+
+    this.connection = connection
+    this.listeners = {}
+
+    const config = self.__uv$config || {}
+    this.engines = new Map()
+    ShaderTransport.ENGINES.forEach((engine) => this.engines.set(engine.id, engine))
+    Object.entries(config.transports || {}).forEach(([id, engine]) => this.registerEngine({ id, ...engine }))
+
+    const engine = this.options.engine || config.transport
+    this.engine = this.engines.has(engine) ? engine : 'vector'
+    this.endpoints = this._endpointsFor(this.engine)
+    this.active = null
+    this.engineOptions = {}
+    this.configured = false
+    this.revision = 0
+
+    this._timer = null
+    this._switching = null
+  }
+
+  /**
+   * Reads the endpoint list from a Shader config. `wisp` is the priority 0
+   * endpoint and `wispEndpoints` adds fallbacks.
+   * @param {Object} [config=self.__uv$config] - The Shader config.
+   * @returns {Array<{url: string, priority: number}>}
+   */
+  static endpointsFromConfig(config = self.__uv$config) {
+    const endpoints = [...((config && config.wispEndpoints) || [])]
+    if (config && config.wisp && !endpoints.some((e) => (typeof e === 'string' ? e : e.url) === config.wisp)) {
+      endpoints.unshift({ url: config.wisp, priority: 0 })
+    }
+    return endpoints
+  }
+
+  /**
+   * Normalizes and sorts endpoints by priority (stable for equal priorities).
+   * @param {Array<string|{url: string, priority?: number}>} endpoints
+   * @returns {ShaderTransportEndpoint[]}
+   */
+  static normalizeEndpoints(endpoints) {
+    return endpoints
+      .map((endpoint, index) => (typeof endpoint === 'string' ? { url: endpoint, priority: index } : endpoint))
+      .filter((endpoint) => endpoint && endpoint.url)
+      .map((endpoint) => ({
+        url: endpoint.url,
+        priority: Number.isFinite(endpoint.priority) ? endpoint.priority : 0,
+        healthy: null,
+        latency: null,
+        lastChecked: null,
+      }))
+      .sort((a, b) => a.priority - b.priority)
+  }
+
+  /**
+   * Adds (or overrides) a transport engine.
+   * @param {ShaderTransportEngine} engine - The engine definition. Missing fields are taken from the existing engine.
+   */
+  registerEngine(engine) {
+    const merged = { ...this.engines.get(engine.id), ...engine }
+    if (!merged.path || !['wisp', 'bare'].includes(merged.protocol)) {
+      throw new Error(`A transport engine needs a path and a 'wisp' or 'bare' protocol: ${engine.id}`)
+    }
+    this.engines.set(engine.id, { ...merged, name: merged.name || engine.id })
+  }
+
+  /**
+   * Returns every registered engine.
+   * @returns {ShaderTransportEngine[]}
+   */
+  getEngines() {
+    return Array.from(this.engines.values()).map((engine) => ({ ...engine }))
+  }
+
+  /**
+   * Switches to another engine and reconnects. The previous engine is restored if
+   * the new one cannot be configured.
+   * @param {string} id - The engine ID.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.connect=true] - Reconnect now. Pass false when another
+   *   context already configured the shared transport.
+   * @returns {Promise<ShaderTransportEndpoint|null>} The active endpoint.
+   * @emits engineChange
+   */
+  async setEngine(id, { connect = true } = {}) {
+    if (!this.engines.has(id)) throw new Error(`Unknown transport engine: ${id}`)
+    if (id === this.engine && (this.active || !connect)) return this.active
+
+    const previous = { engine: this.engine, endpoints: this.endpoints, active: this.active }
+    this.engine = id
+    this.endpoints = this._endpointsFor(id)
+    this.active = null
+
+    if (connect) {
+      try {
+        await this.connect()
+      } catch (error) {
+        Object.assign(this, previous)
+        if (previous.active) await this.connect().catch(() => {})
+        throw error
+      }
+    }
+
+    this._touch()
+    this.emit(ShaderTransport.EVENTS.ENGINE_CHANGE, { engine: id, previous: previous.engine })
+    return this.active
+  }
+
+  /**
+   * Adopts the engine already running in the shared BareMux worker, if it is a
+   * registered one, so a restarted Service Worker keeps the page's choice.
+   * @returns {Promise<boolean>} Whether a running engine was adopted.
+   */
+  async resume() {
+    let name = ''
+    try {
+      name = await this.connection.getTransport()
+    } catch (e) {
+      return false
+    }
+
+    const engine = this.getEngines().find((e) => this._engineUrl(e) === name)
+    if (!engine) return false
+
+    await this.setEngine(engine.id, { connect: false })
+    this.configured = true
+    return true
+  }
+
+  /**
+   * Builds a `transportConfig` message.
+   * @param {string} type - 'request' (page to worker), 'confirm' or 'reject' (worker to page).
+   * @param {Object} [payload={}] - Message fields.
+   * @returns {Object}
+   */
+  static configMessage(type, payload = {}) {
+    return { msg: 'transportConfig', version: ShaderTransport.CONFIG_VERSION, type, ...payload }
+  }
+
+  /**
+   * Returns the active configuration.
+   * @returns {ShaderTransportConfig}
+   */
+  getConfig() {
+    return {
+      engine: this.engine,
+      endpoint: this.active ? this.active.url : null,
+      options: this.getOptions(),
+      revision: this.revision,
+    }
+  }
+
+  /**
+   * Returns the effective options of an engine: its configured options, then runtime overrides.
+   * @param {string} [id=this.engine] - The engine ID.
+   * @returns {Object}
+   */
+  getOptions(id = this.engine) {
+    const engine = this.engines.get(id)
+    const options = { ...(engine && engine.options), ...this.engineOptions[id] }
+    Object.keys(options).forEach((key) => options[key] == null && delete options[key])
+    return options
+  }
+
+  /**
+   * Overrides options of an engine. A null value drops the override. Does not reconnect;
+   * the options are used from the next connect().
+   * @param {Object} options - Option values.
+   * @param {string} [id=this.engine] - The engine ID.
+   * @returns {boolean} Whether the effective options changed.
+   * @throws {TypeError} If an option is unknown or has the wrong type.
+   * @emits optionsChange
+   */
+  setOptions(options, id = this.engine) {
+    this.validateOptions(options, id)
+
+    const before = JSON.stringify(this.getOptions(id))
+    const overrides = { ...this.engineOptions[id], ...options }
+    Object.keys(options).forEach((key) => options[key] === null && delete overrides[key])
+    this.engineOptions[id] = overrides
+
+    const effective = this.getOptions(id)
+    if (JSON.stringify(effective) === before) return false
+
+    this._touch()
+    this.emit(ShaderTransport.EVENTS.OPTIONS_CHANGE, { engine: id, options: effective })
+    return true
+  }
+
+  /**
+   * Checks option names and types against the engine's `optionTypes`, if it declares them.
+   * @param {Object} options - Option values.
+   * @param {string} [id=this.engine] - The engine ID.
+   * @throws {TypeError} If an option is unknown or has the wrong type.
+   */
+  validateOptions(options, id = this.engine) {
+    const engine = this.engines.get(id)
+    if (!engine) throw new Error(`Unknown transport engine: ${id}`)
+    if (!options || typeof options !== 'object') throw new TypeError('Transport options must be an object')
+    if (!engine.optionTypes) return
+
+    for (const [key, value] of Object.entries(options)) {
+      const type = engine.optionTypes[key]
+      if (!type) throw new TypeError(`Unknown ${engine.name} option: ${key}`)
+      if (value === null) continue
+
+      const valid =
+        type === 'string[]'
+          ? Array.isArray(value) && value.every((v) => typeof v === 'string')
+          : typeof value === type && (type !== 'number' || (Number.isInteger(value) && value >= 0))
+      if (!valid) throw new TypeError(`${engine.name} option ${key} must be a ${type === 'number' ? 'non-negative integer' : type}`)
+    }
+  }
+
+  /**
+   * Answers a `transportConfig` request (Service Worker side). Applies option overrides,
+   * switches engine if the request asks for another one, and reconnects when the active
+   * engine's options changed or the transport was never configured.
+   * @param {Object} message - The request message.
+   * @param {string|null} [message.engine] - The engine the page wants.
+   * @param {Object<string, Object>} [message.options] - Option overrides, by engine ID.
+   * @returns {Promise<Object>} A 'confirm' message with the active config, or a 'reject' message with the error.
+   */
+  async handleConfigMessage(message) {
+    if (message.version !== ShaderTransport.CONFIG_VERSION) {
+      const error = new TransportSetupError(
+        `Unsupported transport config version ${message.version} (expected ${ShaderTransport.CONFIG_VERSION})`,
+        { details: { version: message.version } }
+      )
+      return ShaderTransport.configMessage('reject', { error: error.toJSON() })
+    }
+
+    const previousOptions = { ...this.engineOptions }
+    try {
+      const engine = message.engine || this.engine
+      let changed = false
+      Object.entries(message.options || {}).forEach(([id, options]) => {
+        if (this.setOptions(options, id) && id === engine) changed = true
+      })
+
+      if (engine !== this.engine) {
+        await this.setEngine(engine)
+      } else if (changed || !this.configured) {
+        await this.connect()
+      }
+      return ShaderTransport.configMessage('confirm', { config: this.getConfig() })
+    } catch (error) {
+      this.engineOptions = previousOptions
+      return ShaderTransport.configMessage('reject', { error: ShaderError.from(error).toJSON() })
+    }
+  }
+
+  /**
+   * Asks the Service Worker for the active configuration (page side) and follows it.
+   * @param {ServiceWorker} worker - The Service Worker to negotiate with.
+   * @param {Object} [request={}]
+   * @param {string|null} [request.engine=null] - The preferred engine, or null to accept the current one.
+   * @param {Object<string, Object>|null} [request.options=null] - Option overrides, by engine ID.
+   * @param {number} [request.timeout=10000] - Time allowed for the worker's answer, in milliseconds.
+   * @returns {Promise<ShaderTransportConfig>} The confirmed configuration.
+   * @throws {ShaderError} If the worker rejected the request or its config could not be applied.
+   * @throws {TimeoutError} If the worker did not answer in time (e.g. while it is still activating).
+   */
+  negotiate(worker, { engine = null, options = null, timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+      const channel = new MessageChannel()
+      const timer = setTimeout(() => {
+        channel.port1.close()
+        reject(new TimeoutError(`The Service Worker did not answer the transport request within ${timeout}ms`))
+      }, timeout)
+
+      channel.port1.onmessage = async ({ data }) => {
+        clearTimeout(timer)
+        channel.port1.close()
+        try {
+          if (data.type !== 'confirm') throw ShaderError.from(data.error)
+          await this.applyConfig(data.config)
+          resolve(this.getConfig())
+        } catch (error) {
+          reject(ShaderError.from(error))
+        }
+      }
+      worker.postMessage(ShaderTransport.configMessage('request', { engine, options }), [channel.port2])
+    })
+  }
+
+  /**
+   * Follows a configuration confirmed by the Service Worker, without reconfiguring
+   * the shared transport. Configurations older than the current one are ignored.
+   * @param {ShaderTransportConfig} config - The confirmed configuration.
+   * @returns {Promise<boolean>} Whether the configuration was applied.
+   */
+  async applyConfig(config) {
+    if (!config || config.revision <= this.revision) return false
+
+    if (config.engine !== this.engine) await this.setEngine(config.engine, { connect: false })
+    if (config.options && JSON.stringify(config.options) !== JSON.stringify(this.getOptions())) {
+      this.engineOptions[config.engine] = config.options
+      this.emit(ShaderTransport.EVENTS.OPTIONS_CHANGE, { engine: config.engine, options: this.getOptions() })
+    }
+    if (config.endpoint) {
+      let endpoint = this.endpoints.find((e) => e.url === config.endpoint)
+      if (!endpoint) {
+        // Not in this page's config (e.g. a newer deployment); track it anyway
+        endpoint = ShaderTransport.normalizeEndpoints([{ url: config.endpoint, priority: Infinity }])[0]
+        this.endpoints.push(endpoint)
+      }
+      this._setActive(endpoint)
+    }
+
+    this.configured = true
+    this.revision = config.revision
+    return true
+  }
+
+  /**
+   * Directory the app is served from, in both the page and the Service Worker.
+   * @returns {string}
+   */
+  static baseUrl() {
+    const path = self.location.pathname
+    return self.location.origin + path.substring(0, path.lastIndexOf('/') + 1)
+  }
+
+  /**
+   * Resolves a Wisp endpoint to the WebSocket URL the transport connects to. Root-relative paths
+   * are sent to `__uv$config.wispHost`, as BareMux's setTransport does (matrix/index.mjs); other
+   * relative URLs are resolved against the app directory.
+   * @param {string} url - The endpoint URL from the config.
+   * @returns {string}
+   */
+  static resolveWispUrl(url) {
+    const host = (self.__uv$config || {}).wispHost
+    if (host && url.startsWith('/') && !url.startsWith('//')) return host + url
+    const target = new URL(url, ShaderTransport.baseUrl())
+    target.protocol = target.protocol.replace(/^http/, 'ws')
+    return target.href
+  }
+
+  /**
+   * Connects to the best endpoint, unless the shared worker already runs a registered
+   * engine, and starts background health checks.
+   * @returns {Promise<ShaderTransportEndpoint|null>} The active endpoint (null when an existing engine was resumed).
+   * @throws {TransportSetupError} If no endpoint could be configured.
+   */
+  async start() {
+    const endpoint = (await this.resume()) ? this.active : await this.connect()
+
+    if (this.options.healthCheckInterval > 0 && !this._timer) {
+      this._timer = setInterval(() => this.checkHealth(), this.options.healthCheckInterval)
+    }
+    return endpoint
+  }
+
+  /**
+   * Stops background health checks.
+   */
+  stop() {
+    clearInterval(this._timer)
+    this._timer = null
+  }
+
+  /**
+   * Configures the transport on the first healthy endpoint, in priority order.
+   * Probes run in parallel but are awaited in order, so a healthy primary is used
+   * without waiting for slower fallbacks. If every probe fails, the endpoints are
+   * still tried in priority order.
+   * @returns {Promise<ShaderTransportEndpoint>} The active endpoint.
+   * @throws {TransportSetupError} If setTransport failed for every endpoint.
+   */
+  async connect() {
+    const probes = this.endpoints.map((endpoint) => this._check(endpoint))
+
+    let candidates = []
+    for (let i = 0; i < this.endpoints.length; i++) {
+      if (await probes[i]) {
+        candidates = [this.endpoints[i], ...this.endpoints.filter((e) => e !== this.endpoints[i])]
+        break
+      }
+    }
+    if (!candidates.length) candidates = this.endpoints
+
+    const engine = this.engines.get(this.engine)
+    const failures = []
+    for (const endpoint of candidates) {
+      try {
+        await this.connection.setTransport(this._engineUrl(engine), this._transportArgs(engine, endpoint))
+        this._setActive(endpoint)
+        return endpoint
+      } catch (error) {
+        console.warn('ShaderTransport: failed to set transport for', endpoint.url, error)
+        failures.push({ url: endpoint.url, message: error.message })
+      }
+    }
+
+    throw new TransportSetupError(`Failed to set ${engine.name} transport on ${failures.length} endpoint(s)`, {
+      url: candidates[0] && candidates[0].url,
+      details: { engine: this.engine, failures },
+    })
+  }
+
+  /**
+   * Health checks every endpoint and fails over if the active one is down.
+   * @returns {Promise<ShaderTransportEndpoint[]>} The endpoints, with updated health.
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map((endpoint) => this._check(endpoint)))
+
+    const preferred = this.endpoints.find((endpoint) => endpoint.healthy)
+    if (this.active && !this.active.healthy) {
+      await this.failover()
+    } else if (preferred && this.active && preferred.priority < this.active.priority) {
+      // A higher priority endpoint came back
+      await this.failover()
+    }
+    return this.endpoints
+  }
+
+  /**
+   * Re-checks the active endpoint after a failed request and fails over if it is down.
+   * @returns {Promise<void>}
+   */
+  async reportFailure() {
+    if (this._switching) return this._switching
+    if (!this.active || !(await this._check(this.active))) await this.failover()
+  }
+
+  /**
+   * Moves the transport to the best available endpoint. Concurrent calls share one switch.
+   * @returns {Promise<ShaderTransportEndpoint|null>}
+   */
+  failover() {
+    if (!this._switching) {
+      this._switching = this.connect()
+        .catch((error) => {
+          console.error('ShaderTransport: failover failed:', error)
+          return null
+        })
+        .finally(() => (this._switching = null))
+    }
+    return this._switching
+  }
+
+  /**
+   * Returns a snapshot of the endpoints.
+   * @returns {ShaderTransportEndpoint[]}
+   */
+  getEndpoints() {
+    return this.endpoints.map((endpoint) => ({ ...endpoint, active: endpoint === this.active }))
+  }
+
+  /**
+   * Sets the active endpoint.
+   * @private
+   * @emits switch
+   */
+  _setActive(endpoint) {
+    if (this.active === endpoint) return
+
+    const previous = this.active
+    this.active = endpoint
+    this.configured = true
+    this._touch()
+    console.debug(`[ShaderTransport] Using ${this.engine} endpoint:`, endpoint.url)
+    this.emit(ShaderTransport.EVENTS.SWITCH, {
+      engine: this.engine,
+      url: endpoint.url,
+      priority: endpoint.priority,
+      previous: previous ? previous.url : null,
+    })
+  }
+
+  /**
+   * Bumps the config revision. Timestamps keep revisions increasing across Service Worker restarts.
+   * @private
+   */
+  _touch() {
+    this.revision = Math.max(Date.now(), this.revision + 1)
+  }
+
+  /**
+   * Builds the endpoint list for an engine.
+   * @private
+   */
+  _endpointsFor(id) {
+    const engine = this.engines.get(id)
+    if (engine.protocol === 'bare') {
+      return ShaderTransport.normalizeEndpoints([{ url: (self.__uv$config || {}).bare, priority: 0 }])
+    }
+    return ShaderTransport.normalizeEndpoints(this.options.endpoints || ShaderTransport.endpointsFromConfig())
+  }
+
+  /**
+   * Resolves the module URL of an engine. BareMux reports it as the transport name.
+   * @private
+   */
+  _engineUrl(engine) {
+    return new URL(engine.path, ShaderTransport.baseUrl()).href
+  }
+
+  /**
+   * Builds the transport constructor arguments for an endpoint.
+   * @private
+   */
+  _transportArgs(engine, endpoint) {
+    if (engine.protocol === 'bare') return [new URL(endpoint.url, ShaderTransport.baseUrl()).href]
+    // Resolved here so the transport connects to the URL _probe() checks
+    return [{ ...this.getOptions(engine.id), wisp: ShaderTransport.resolveWispUrl(endpoint.url) }]
+  }
+
+  /**
+   * Health checks an endpoint and records the result.
+   * @private
+   * @returns {Promise<boolean>}
+   * @emits healthChange
+   */
+  async _check(endpoint) {
+    const start = Date.now()
+    const healthy = await (this.engines.get(this.engine).protocol === 'bare'
+      ? this._probeBare(endpoint.url)
+      : this._probe(endpoint.url))
+    const changed = endpoint.healthy !== healthy
+
+    endpoint.healthy = healthy
+    endpoint.latency = healthy ? Date.now() - start : null
+    endpoint.lastChecked = Date.now()
+
+    if (changed) this.emit(ShaderTransport.EVENTS.HEALTH_CHANGE, { url: endpoint.url, healthy })
+    return healthy
+  }
+
+  /**
+   * Opens (and immediately closes) a WebSocket to the endpoint, resolved as the transport
+   * resolves it (see resolveWispUrl).
+   * @private
+   * @returns {Promise<boolean>} Whether the handshake succeeded in time.
+   */
+  _probe(url) {
+    return new Promise((resolve) => {
+      let socket
+      let timer
+      const done = (healthy) => {
+        clearTimeout(timer)
+        if (socket) {
+          socket.onopen = socket.onerror = socket.onclose = null
+          try {
+            socket.close()
+          } catch (e) {}
+        }
+        resolve(healthy)
+      }
+
+      try {
+        socket = new WebSocket(ShaderTransport.resolveWispUrl(url))
+      } catch (e) {
+        return done(false)
+      }
+
+      timer = setTimeout(() => done(false), this.options.healthCheckTimeout)
+      socket.onopen = () => done(true)
+      socket.onerror = () => done(false)
+      socket.onclose = () => done(false)
+    })
+  }
+
+  /**
+   * Requests the Bare server manifest.
+   * @private
+   * @returns {Promise<boolean>} Whether the server answered in time.
+   */
+  async _probeBare(url) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), this.options.healthCheckTimeout)
+    try {
+      const response = await fetch(new URL(url, ShaderTransport.baseUrl()), { signal: controller.signal })
+      return response.ok
+    } catch (e) {
+      return false
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - The name of the event (use ShaderTransport.EVENTS).
+   * @param {function} callback - The function to call when the event is emitted.
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(callback)
+  }
+
+  /**
+   * Emits an event to registered listeners.
+   * @private
+   * @param {string} event - The name of the event.
+   * @param {*} data - The data to pass to listeners.
+   */
+  emit(event, data) {
+    if (!this.listeners[event]) return
+    this.listeners[event].forEach((callback) => callback(data))
+  }
+}
+
+self.ShaderTransport = ShaderTransport
+export { ShaderTransport }
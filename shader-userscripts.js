@@ -0,0 +1,382 @@
+/**
+ * ShaderUserscripts - Greasemonkey-compatible userscript manager
+ *
+ * Scripts and their GM_* values are kept in IndexedDB so the UI can manage them while the
+ * Service Worker reads them. The kernel (shader.kernel.mjs) queues the enabled scripts whose
+ * `@match` / `@include` rules match a proxied HTML document; the page handler runs them at
+ * their `@run-at` time with a GM_* subset:
+ *
+ *   GM_info, GM_getValue, GM_setValue, GM_deleteValue, GM_listValues, GM_addStyle,
+ *   GM_xmlhttpRequest (sent through the proxy transport) and unsafeWindow.
+ *
+ * Values are handed to the page when it loads; GM_setValue writes go back through the
+ * Service Worker, so other tabs see them on their next load.
+ */
+class ShaderUserscripts {
+  /**
+   * Available events that can be subscribed to.
+   * @readonly
+   */
+  static get EVENTS() {
+    return {
+      CHANGE: 'change',
+    }
+  }
+
+  /**
+   * `@run-at` values. Scripts without one run at document-end.
+   * @readonly
+   */
+  static get RUN_AT() {
+    return {
+      DOCUMENT_START: 'document-start',
+      DOCUMENT_END: 'document-end',
+      DOCUMENT_IDLE: 'document-idle',
+    }
+  }
+
+  /**
+   * @typedef {Object} ShaderUserscriptMeta
+   * @property {string} name - `@name`.
+   * @property {string} namespace - `@namespace`.
+   * @property {string} version - `@version`.
+   * @property {string} description - `@description`.
+   * @property {string[]} matches - `@match` patterns (`<all_urls>`, `*://*.example.com/*`).
+   * @property {string[]} includes - `@include` globs or `/regexes/`. Without matches and includes, the script runs everywhere.
+   * @property {string[]} excludes - `@exclude` globs or `/regexes/`.
+   * @property {string[]} excludeMatches - `@exclude-match` patterns.
+   * @property {string[]} grants - `@grant` values (informational: every script gets the whole GM_* subset).
+   * @property {string} runAt - One of ShaderUserscripts.RUN_AT.
+   * @property {boolean} noframes - `@noframes`: not run in frames nested in a proxied page.
+   */
+
+  /**
+   * @typedef {Object} ShaderUserscript
+   * @property {string} id - `namespace/name`. Installing a script with the same id replaces it and keeps its values.
+   * @property {string} source - The script, including its metadata block.
+   * @property {ShaderUserscriptMeta} meta - The parsed metadata.
+   * @property {boolean} enabled - Whether the script runs.
+   * @property {number} installed - Time of the first install.
+   * @property {number} updated - Time of the last install.
+   */
+
+  /**
+   * Creates an instance of ShaderUserscripts.
+   * @param {Object} [options={}] - Configuration options.
+   * @param {string} [options.dbName='shader_userscripts'] - IndexedDB database of the scripts and their values.
+   */
+  constructor(options = {}) {
+    this.options = {
+      dbName: 'shader_userscripts',
+      ...options,
+    }
+
+    this.listeners = {}
+    this.scripts = []
+    this._db = null
+  }
+
+  /**
+   * Parses the `==UserScript==` metadata block of a script.
+   * @param {string} source - The script.
+   * @returns {ShaderUserscriptMeta}
+   * @throws {Error} If the block or `@name` is missing.
+   */
+  static parse(source) {
+    const block = String(source).match(/\/\/\s*==UserScript==([\s\S]*?)\/\/\s*==\/UserScript==/)
+    if (!block) throw new Error('The script has no ==UserScript== metadata block')
+
+    const meta = {
+      name: '',
+      namespace: '',
+      version: '',
+      description: '',
+      matches: [],
+      includes: [],
+      excludes: [],
+      excludeMatches: [],
+      grants: [],
+      runAt: ShaderUserscripts.RUN_AT.DOCUMENT_END,
+      noframes: false,
+    }
+    for (const line of block[1].split('\n')) {
+      // Localized keys (`@name:fr`) are skipped
+      const match = line.match(/^\s*\/\/\s*@([\w-]+)(?:\s+(.*?))?\s*$/)
+      if (!match) continue
+      const [, key, value = ''] = match
+
+      if (LIST_KEYS[key]) {
+        if (value) meta[LIST_KEYS[key]].push(value)
+      } else if (['name', 'namespace', 'version', 'description'].includes(key)) {
+        meta[key] = meta[key] || value
+      } else if (key === 'run-at' && Object.values(ShaderUserscripts.RUN_AT).includes(value)) {
+        meta.runAt = value
+      } else if (key === 'noframes') {
+        meta.noframes = true
+      }
+    }
+
+    if (!meta.name) throw new Error('The script has no @name')
+    return meta
+  }
+
+  /**
+   * Whether a script's metadata applies to a URL.
+   * @param {ShaderUserscriptMeta} meta - The metadata.
+   * @param {URL|string} url - The (decoded) page URL.
+   * @returns {boolean}
+   */
+  static matches(meta, url) {
+    url = new URL(url)
+    const matched = (patterns) => patterns.some((pattern) => ShaderUserscripts._matchPattern(pattern, url))
+    const included = (rules) => rules.some((rule) => ShaderUserscripts._includeRule(rule).test(url.href))
+
+    if (matched(meta.excludeMatches) || included(meta.excludes)) return false
+    if (!meta.matches.length && !meta.includes.length) return true
+    return matched(meta.matches) || included(meta.includes)
+  }
+
+  /**
+   * Reads the enabled scripts, for match(). Called by the Service Worker on start and
+   * whenever a page changes the scripts.
+   * @returns {Promise<number>} The number of enabled scripts.
+   */
+  async load() {
+    this.scripts = (await this.list()).filter((script) => script.enabled)
+    return this.scripts.length
+  }
+
+  /**
+   * Returns the enabled scripts (as of load()) that run on a URL, in install order.
+   * @param {URL|string} url - The (decoded) page URL.
+   * @returns {ShaderUserscript[]}
+   */
+  match(url) {
+    return this.scripts.filter((script) => {
+      try {
+        return ShaderUserscripts.matches(script.meta, url)
+      } catch {
+        return false
+      }
+    })
+  }
+
+  /**
+   * Returns every installed script, in install order.
+   * @returns {Promise<ShaderUserscript[]>}
+   */
+  async list() {
+    const scripts = await this._transaction('scripts', 'readonly', (store) => store.getAll())
+    return scripts.sort((a, b) => a.installed - b.installed)
+  }
+
+  /**
+   * Installs a script, or updates the installed script with the same name and namespace.
+   * @param {string} source - The script, including its metadata block.
+   * @returns {Promise<ShaderUserscript>}
+   * @throws {Error} If the metadata block is invalid.
+   * @emits change
+   */
+  async install(source) {
+    const meta = ShaderUserscripts.parse(source)
+    const id = `${meta.namespace}/${meta.name}`
+    const existing = await this._transaction('scripts', 'readonly', (store) => store.get(id))
+    const now = Date.now()
+    const script = {
+      id,
+      source,
+      meta,
+      enabled: existing ? existing.enabled : true,
+      installed: existing ? existing.installed : now,
+      updated: now,
+    }
+
+    await this._transaction('scripts', 'readwrite', (store) => store.put(script))
+    this._changed()
+    return script
+  }
+
+  /**
+   * Removes a script and its values.
+   * @param {string} id - The script id.
+   * @emits change
+   */
+  async remove(id) {
+    await this._transaction('scripts', 'readwrite', (store) => store.delete(id))
+    await this._transaction('values', 'readwrite', (store) => store.delete(id))
+    this._changed()
+  }
+
+  /**
+   * Enables or disables a script.
+   * @param {string} id - The script id.
+   * @param {boolean} enabled - Whether the script runs.
+   * @emits change
+   */
+  async setEnabled(id, enabled) {
+    const script = await this._transaction('scripts', 'readonly', (store) => store.get(id))
+    if (!script) return
+    await this._transaction('scripts', 'readwrite', (store) => store.put({ ...script, enabled: !!enabled }))
+    this._changed()
+  }
+
+  /**
+   * Returns the GM_* values of a script.
+   * @param {string} id - The script id.
+   * @returns {Promise<Object<string, *>>}
+   */
+  async getValues(id) {
+    const entry = await this._transaction('values', 'readonly', (store) => store.get(id))
+    return entry ? entry.values : {}
+  }
+
+  /**
+   * Sets (or, with an undefined value, deletes) a GM_* value of a script.
+   * @param {string} id - The script id.
+   * @param {string} key - The value name.
+   * @param {*} value - A structured-clonable value.
+   * @returns {Promise<void>}
+   */
+  async setValue(id, key, value) {
+    const db = await this._open()
+    return new Promise((resolve, reject) => {
+      // Read and write in one transaction so concurrent writes to the same script are not lost
+      const transaction = db.transaction('values', 'readwrite')
+      const store = transaction.objectStore('values')
+      const request = store.get(id)
+      request.onsuccess = () => {
+        const values = request.result ? request.result.values : {}
+        if (value === undefined) delete values[key]
+        else values[key] = value
+        store.put({ id, values })
+      }
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Tests a `@match` pattern: `<all_urls>` or `scheme://host/path`, where the scheme may be
+   * `*` (http and https), the host `*` or `*.domain`, and the path a `*` glob.
+   * @private
+   * @param {string} pattern - The pattern.
+   * @param {URL} url - The URL.
+   * @returns {boolean}
+   */
+  static _matchPattern(pattern, url) {
+    if (pattern === '<all_urls>') return ['http:', 'https:', 'ws:', 'wss:', 'ftp:', 'file:'].includes(url.protocol)
+
+    const parts = pattern.match(/^(\*|[a-z][a-z0-9+.-]*):\/\/([^/]*)(\/.*)$/i)
+    if (!parts) return false
+    const [, scheme, host, path] = parts
+
+    if (scheme === '*' ? !['http:', 'https:'].includes(url.protocol) : url.protocol !== scheme.toLowerCase() + ':') {
+      return false
+    }
+    const hostname = url.hostname.toLowerCase()
+    const wanted = host.toLowerCase().replace(/:\d+$/, '')
+    if (wanted !== '*') {
+      const domain = wanted.startsWith('*.') ? wanted.slice(2) : null
+      if (domain ? hostname !== domain && !hostname.endsWith('.' + domain) : hostname !== wanted) return false
+    }
+    return ShaderUserscripts._glob(path).test(url.pathname + url.search)
+  }
+
+  /**
+   * Compiles an `@include` / `@exclude` rule: a `/regex/` or a `*` glob over the whole URL.
+   * @private
+   * @param {string} rule - The rule.
+   * @returns {RegExp}
+   */
+  static _includeRule(rule) {
+    const regex = rule.match(/^\/(.+)\/([a-z]*)$/)
+    return regex ? new RegExp(regex[1], regex[2].replace(/[gy]/g, '')) : ShaderUserscripts._glob(rule, 'i')
+  }
+
+  /**
+   * Compiles a glob where `*` matches any characters.
+   * @private
+   */
+  static _glob(glob, flags = '') {
+    return new RegExp('^' + glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$', flags)
+  }
+
+  /**
+   * Tells the Service Worker (when called from a page) and listeners that the scripts changed.
+   * @private
+   */
+  _changed() {
+    const worker = self.navigator.serviceWorker && self.navigator.serviceWorker.controller
+    if (worker) worker.postMessage({ msg: 'userscripts' })
+    this.emit(ShaderUserscripts.EVENTS.CHANGE)
+  }
+
+  /**
+   * Opens (and upgrades, if needed) the userscript database.
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (this._db) return this._db
+
+    this._db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.options.dbName, 1)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('scripts', { keyPath: 'id' })
+        request.result.createObjectStore('values', { keyPath: 'id' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // A failed open is retried on the next call
+    this._db.catch(() => (this._db = null))
+
+    return this._db
+  }
+
+  /**
+   * Runs a single request against a store.
+   * @private
+   */
+  async _transaction(storeName, mode, fn) {
+    const db = await this._open()
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction(storeName, mode).objectStore(storeName))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  /**
+   * Registers an event listener.
+   * @param {string} event - The name of the event (use ShaderUserscripts.EVENTS).
+   * @param {function} callback - The function to call when the event is emitted.
+   */
+  on(event, callback) {
+    if (!this.listeners[event]) this.listeners[event] = []
+    this.listeners[event].push(callback)
+  }
+
+  /**
+   * Emits an event to registered listeners.
+   * @private
+   * @param {string} event - The name of the event.
+   * @param {*} data - The data to pass to listeners.
+   */
+  emit(event, data) {
+    if (!this.listeners[event]) return
+    this.listeners[event].forEach((callback) => callback(data))
+  }
+}
+
+// Metadata keys that can repeat, and their ShaderUserscriptMeta field
+const LIST_KEYS = {
+  match: 'matches',
+  include: 'includes',
+  exclude: 'excludes',
+  'exclude-match': 'excludeMatches',
+  grant: 'grants',
+}
+
+self.ShaderUserscripts = ShaderUserscripts
+export { ShaderUserscripts }
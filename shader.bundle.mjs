@@ -6901,6 +6901,7 @@
       static parse = vr
       static parseFragment = Tt
       static serialize = Ke
+      static decodeAttribute = (t) => Tc(t, Le.Attribute)
     },
     zt = class e extends Fr.default {
       constructor(t, r = !1, n = {}) {
@@ -14306,48 +14307,132 @@
       },
     }
   var Wa = We(En(), 1)
-  function Tn(e, t, r = !1) {
-    return e.httpOnly && r
+  // Whether a stored cookie is sent to t.url (RFC 6265bis retrieval); r marks document.cookie reads, n is the request context
+  function Tn(e, t, r = !1, n = {}) {
+    let u = t.url.hostname,
+      a = t.url.pathname || '/',
+      i = Km(e),
+      f = String(e.sameSite || '').toLowerCase()
+    return (e.httpOnly && r) ||
+      (i !== null && i <= Date.now()) ||
+      (e.domain.startsWith('.') ? u !== e.domain.slice(1) && !u.endsWith(e.domain) : u !== e.domain) ||
+      (a !== e.path && !(a.startsWith(e.path) && (e.path.endsWith('/') || a[e.path.length] === '/'))) ||
+      (e.secure && /^(http|ws):$/.test(t.url.protocol)) ||
+      (e.partitionKey && e.partitionKey !== n.topSite)
       ? !1
-      : e.domain.startsWith('.')
-      ? !!t.url.hostname.endsWith(e.domain.slice(1))
-      : !(e.domain !== t.url.hostname || (e.secure && t.url.protocol === 'http:') || !t.url.pathname.startsWith(e.path))
+      : !n.crossSite ||
+          f === 'none' ||
+          (f !== 'strict' &&
+            !!n.navigate &&
+            (/^(GET|HEAD)$/i.test(n.method || 'GET') || (!f && Date.now() - new Date(e.set).getTime() < 12e4)))
+  }
+  // Expiry time of a stored cookie (ms), or null for session cookies
+  function Km(e) {
+    return e.expiry !== void 0
+      ? e.expiry
+      : e.maxAge != null && e.set
+      ? new Date(e.set).getTime() + e.maxAge * 1e3
+      : e.expires
+      ? new Date(e.expires).getTime()
+      : null
+  }
+  // Schemeful site of a URL
+  function Zm(e) {
+    let t = new URL(e)
+    return t.protocol.replace(/^ws/, 'http') + '//' + Zh(t.hostname)
   }
-  async function Xa(e) {
-    let t = await e('__op', 1, {
+  // Registrable domain of a hostname. Without a public suffix list, two-letter ccTLDs under co/com/net/org/... count as suffixes
+  function Zh(e) {
+    let r = e.split('.'),
+      n =
+        r.length < 3 || /^\d+$/.test(r[r.length - 1])
+          ? r.length
+          : r[r.length - 1].length === 2 && /^(ac|co|com|edu|go|gov|ne|net|or|org)$/.test(r[r.length - 2])
+          ? 3
+          : 2
+    return r.slice(-n).join('.')
+  }
+  async function Xa(e, n = '__op') {
+    let t = await e(n, 1, {
       upgrade(r) {
         r.createObjectStore('cookies', { keyPath: 'id' }).createIndex('path', 'path')
       },
     })
     return t.transaction(['cookies'], 'readwrite').store.index('path'), t
   }
-  function Qa(e = [], t, r) {
-    let n = ''
-    for (let u of e) Tn(u, t, r) && (n.length && (n += '; '), (n += u.name), (n += '='), (n += u.value))
-    return n
+  let Jm = new Map()
+  function Ym(e) {
+    let t = Jm.get(e)
+    return (
+      t || Jm.set(e, (t = new Map())),
+      {
+        getAll: async () => [...t.values()],
+        put: async (r, n) => void t.set(n.id, n),
+        delete: async (r, n) => void t.delete(n),
+      }
+    )
+  }
+  function Qa(e = [], t, r, n) {
+    let u = ''
+    for (let a of e
+      .filter((i) => Tn(i, t, r, n))
+      .sort((i, f) => f.path.length - i.path.length || new Date(i.set) - new Date(f.set)))
+      u.length && (u += '; '), (u += a.name ? a.name + '=' + a.value : a.value)
+    return u
   }
   async function ja(e) {
-    let t = new Date()
+    let t = Date.now()
     return (await e.getAll('cookies')).filter((r) => {
-      let n = !1
-      return (
-        r.set &&
-          (r.maxAge
-            ? (n = r.set.getTime() + r.maxAge * 1e3 < t)
-            : r.expires && (n = new Date(r.expires.toLocaleString()) < t)),
-        n ? (e.delete('cookies', r.id), !1) : !0
-      )
+      let n = Km(r)
+      return n !== null && n <= t ? (e.delete('cookies', r.id), !1) : !0
     })
   }
-  function Ka(e, t, r) {
+  // RFC 6265bis storage model: the cookies of a set-cookie header (or a document.cookie write, r) that may be
+  // stored for t.url. Cookies with an expiry in the past are returned too; storing them deletes the old cookie.
+  function Qm(e, t, r = !1, n = {}) {
+    let u = Date.now(),
+      a = t.url.hostname,
+      i = !/^(http|ws):$/.test(t.url.protocol),
+      // A Domain attribute may not reach above the registrable domain (e.g. Domain=com or Domain=co.uk)
+      l = Zh(a)
+    return (0, Wa.default)(e, { decodeValues: !1 }).filter((f) => {
+      let d = String(f.sameSite || '').toLowerCase(),
+        h = f.domain ? f.domain.trim().toLowerCase().replace(/^\./, '') : ''
+      return (!f.name && !f.value) ||
+        (f.httpOnly && r) ||
+        (f.secure && !i) ||
+        (h && a !== h && !a.endsWith('.' + h)) ||
+        (h && h !== l && !h.endsWith('.' + l)) ||
+        (/^__secure-/i.test(f.name) && !f.secure) ||
+        (/^__host-/i.test(f.name) && (!f.secure || h || (f.path || '').trim() !== '/')) ||
+        ((d === 'none' || f.partitioned) && !f.secure) ||
+        (n.crossSite && !n.navigate && d !== 'none')
+        ? !1
+        : ((f.domain = h ? '.' + h : a),
+          (f.path =
+            f.path && f.path.trim().startsWith('/')
+              ? f.path.trim()
+              : t.url.pathname.lastIndexOf('/') > 0
+              ? t.url.pathname.slice(0, t.url.pathname.lastIndexOf('/'))
+              : '/'),
+          (f.expiry =
+            f.maxAge != null && !isNaN(f.maxAge)
+              ? u + f.maxAge * 1e3
+              : f.expires && !isNaN(f.expires)
+              ? f.expires.getTime()
+              : null),
+          f.partitioned && n.topSite && (f.partitionKey = n.topSite),
+          (f.id = `${f.domain}@${f.path}@${f.name}` + (f.partitionKey ? '@' + f.partitionKey : '')),
+          (f.set = new Date(u)),
+          !0)
+    })
+  }
+  function Ka(e, t, r, n = !1, u = {}) {
     if (!t) return !1
-    let n = (0, Wa.default)(e, { decodeValues: !1 })
-    for (let u of n)
-      u.domain || (u.domain = '.' + r.url.hostname),
-        u.path || (u.path = '/'),
-        u.domain.startsWith('.') || (u.domain = '.' + u.domain),
-        t.put('cookies', { ...u, id: `${u.domain}@${u.path}@${u.name}`, set: new Date(Date.now()) })
-    return !0
+    let a = Date.now()
+    return Promise.all(
+      Qm(e, r, n, u).map((i) => (i.expiry !== null && i.expiry <= a ? t.delete('cookies', i.id) : t.put('cookies', i)))
+    ).then(() => !0)
   }
   function za(e, t = e.meta) {
     let { html: r, js: n, attributePrefix: u } = e,
@@ -15135,6 +15220,12 @@
             '/uv.client.js'),
           (this.configScript = t.config || '/uv.config.js'),
           (this.meta.url ||= this.meta.base || ''),
+          (this.scope = t.scope || {}),
+          (this.cookieDb = this.scope.private
+            ? null
+            : this.scope.container
+              ? '__op@' + this.scope.container
+              : '__op'),
           (this.codec = e.codec),
           (this.html = new Fu(this)),
           (this.css = new Yu(this)),
@@ -15149,9 +15240,12 @@
           this.vanilla || this.implementUVMiddleware(),
           (this.cookie = {
             validateCookie: Tn,
-            db: () => Xa(this.constructor.openDB),
+            db: () =>
+              this.scope.private ? Promise.resolve(Ym(this.scope.private)) : Xa(this.constructor.openDB, this.cookieDb),
             getCookies: ja,
             setCookies: Ka,
+            parse: Qm,
+            site: Zm,
             serialize: Qa,
             setCookie: wn.default,
           })
@@ -15205,7 +15299,11 @@
       }
       static codec = { xor: Va, base64: Ga, plain: Ya }
       static setCookie = wn.default
+      static registrableDomain = Zh
       static openDB = hs
+      static clearPrivate = (t) => Jm.delete(t)
+      static privateCookies = (t) => (Jm.has(t) ? [...Jm.get(t).values()] : null)
+      static restorePrivate = (t, r) => void Jm.set(t, new Map(r.map((n) => [n.id, n])))
       static BareClient = Ar
       static EventEmitter = gs.default
     },
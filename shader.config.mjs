@@ -2,16 +2,51 @@
 var path = location.pathname
 var basePath = path.substring(0, path.lastIndexOf('/') + 1)
 
+// Surface settings (UA profile, cookie container, ...) travel in the URL, right after the prefix: calc/@ua=firefox-desktop&container=work/<encoded url>
+var scope = ''
+
 // Ensure basePath is correct even in proxied pages
 if (path.includes('/calc/')) {
   basePath = path.substring(0, path.indexOf('/calc/') + 1)
+  var scopeMatch = path.substring(path.indexOf('/calc/') + 6).match(/^@([\w=&-]*)\//)
+  if (scopeMatch) scope = scopeMatch[1]
 }
 
 self.__uv$config = {
-  prefix: basePath + 'calc/',
+  prefix: basePath + 'calc/' + (scope ? '@' + scope + '/' : ''),
+  scope: Object.fromEntries(new URLSearchParams(scope)),
   bare: basePath + 'telemetry/',
   wisp: '/ws/',
-  searchEngine: 'https://duckduckgo.com/?q=%s',
+  // Host that root-relative Wisp endpoints (like `wisp` above) are served from.
+  wispHost: 'wss://api.mathventures.org',
+  // Fallback Wisp servers ({ url, priority }, lower priority is preferred). `wisp` is used as priority 0.
+  // The transport fails over to the next healthy endpoint when the active one stops answering.
+  wispEndpoints: [],
+  // Default transport engine: 'vector' (Epoxy over Wisp), 'libcurl' (libcurl.js over Wisp) or 'bare' (Bare server at `bare`).
+  // Users can switch at runtime with ShaderClient#setEngine(). Modules are loaded from the paths below.
+  transport: 'vector',
+  transports: {
+    vector: {
+      // Epoxy client options. null keeps Epoxy's default; user_agent defaults to the browser's.
+      // Overridable at runtime with ShaderClient#setTransportOptions().
+      options: {
+        wisp_v2: null,
+        udp_extension_required: null,
+        title_case_headers: null,
+        ws_title_case_headers: null,
+        websocket_protocols: null,
+        redirect_limit: null,
+        header_limit: null,
+        user_agent: null,
+        buffer_size: null,
+      },
+    },
+    // libcurl: { path: 'libcurl/index.mjs' },
+    // bare: { path: 'bare/index.mjs' },
+  },
+  // Rewrite HTML documents while they download (see shader-htmlstream.js). false waits for the whole
+  // document and rewrites it at once, which is slower to first paint.
+  streamHtml: true,
   encodeUrl: Vector.codec.xor.encode,
   decodeUrl: Vector.codec.xor.decode,
   handler: basePath + 'shader.handler.mjs?raw=true',
@@ -19,4 +54,100 @@ self.__uv$config = {
   config: basePath + 'shader.config.mjs?raw=true',
   sw: basePath + 'shader.kernel.mjs?raw=true',
   client: basePath + 'shader.canvas.mjs?raw=true',
+  // User-Agent profiles selectable per surface (ShaderCanvas#createSurface(url, { userAgent })).
+  // `brands` enables Sec-CH-UA client hints and navigator.userAgentData; leave it out for browsers without them.
+  userAgents: {
+    'chrome-desktop': {
+      name: 'Chrome (Windows)',
+      userAgent:
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+      platform: 'Win32',
+      vendor: 'Google Inc.',
+      mobile: false,
+      uaPlatform: 'Windows',
+      platformVersion: '15.0.0',
+      brands: [
+        { brand: 'Chromium', version: '130' },
+        { brand: 'Google Chrome', version: '130' },
+        { brand: 'Not?A_Brand', version: '99' },
+      ],
+      fullVersion: '130.0.6723.92',
+    },
+    'safari-mobile': {
+      name: 'Safari (iPhone)',
+      userAgent:
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1',
+      platform: 'iPhone',
+      vendor: 'Apple Computer, Inc.',
+      mobile: true,
+      maxTouchPoints: 5,
+    },
+    'firefox-desktop': {
+      name: 'Firefox (Windows)',
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:131.0) Gecko/20100101 Firefox/131.0',
+      platform: 'Win32',
+      vendor: '',
+      mobile: false,
+      oscpu: 'Windows NT 10.0; Win64; x64',
+    },
+  },
+  // Service Worker plugins, run in `order` (lower first) on every proxied request. Hooks may be async.
+  // Each can be switched per surface (ShaderCanvas#setSurfacePlugin); `enabled` is the default.
+  //   request(ctx): edit ctx.request (headers, method, body) or return a Response
+  //   responseHeaders(ctx): edit ctx.response (headers, status) or return a Response
+  //   responseBody(ctx): return a new ctx.body for HTML, JavaScript and CSS responses
+  plugins: [
+    // {
+    //   name: 'no-referrer',
+    //   order: 0,
+    //   enabled: true,
+    //   options: {},
+    //   request(ctx) {
+    //     delete ctx.request.headers.referer
+    //   },
+    // },
+  ],
+  // Ad and tracker blocker (see shader-blocker.js). `lists` are EasyList / uBlock Origin style filter lists
+  // served next to this file, e.g. basePath + 'filters/easylist.txt'. Users allowlist sites from the toolbar;
+  // `allowlist` adds sites that are never filtered.
+  blocker: {
+    enabled: true,
+    lists: [],
+    allowlist: [],
+    // Generic element hiding rules (no domain) add thousands of selectors to every page
+    genericHiding: false,
+  },
+  // Administrator policy (see shader-policy.js): allow/deny rules by host glob, URL regex and category,
+  // enforced on navigations, subresources and WebSockets. The policy file is signed with
+  // tools/sign-policy.mjs; set `publicKey` to the JWK it prints to enforce it. A configured policy that
+  // is missing or fails verification denies every site.
+  policy: {
+    url: basePath + 'shader.policy.json',
+    publicKey: null,
+  },
+  errorPage: {
+    // Optional HTML template (also settable per page below). Placeholders:
+    // {{title}} {{message}} {{url}} {{hostname}} {{code}} {{status}} {{kind}} {{trace}} {{themeCss}}
+    // Any element with a data-shader-retry attribute becomes a retry button.
+    template: null,
+    theme: {
+      background: '#0a0c0f',
+      surface: '#161b22',
+      border: '#30363d',
+      text: '#e2e8f0',
+      muted: '#94a3b8',
+      accent: '#a7f3d0',
+    },
+    // Per-kind overrides: { title, message, status, template }
+    pages: {
+      network: {},
+      blocked: {},
+      policy: {},
+      upstream: {},
+      error: {},
+    },
+    // Replace upstream 5xx documents with the "upstream" page. Off by default, so sites' own
+    // maintenance and error pages are shown as they are
+    interceptUpstream: false,
+  },
 }
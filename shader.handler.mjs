@@ -14,7 +14,12 @@
       b = '__uv',
       i = '__uv$',
       e = new m(A),
-      c
+      c,
+      // Storage keys and IndexedDB names are namespaced per container (see __uv$config.scope)
+      I = i + (e.scope.container ? '[' + e.scope.container + ']' : ''),
+      // Private surfaces keep their site data in memory (see ShaderCanvas#closeSurface)
+      Z = e.scope.private ? K(o, e.scope.private) : null,
+      G = o.navigator && o.navigator.serviceWorker
     h
       ? (c = new m.BareClient(
           new Promise((t) => {
@@ -24,6 +29,8 @@
           })
         ))
       : (c = new m.BareClient())
+    // WebSockets skip the Service Worker, so the administrator policy is checked here too (see shader-policy.js)
+    self.__uv$policy && Pe(c, self.__uv$policy)
     let a = new W(o, c, h),
       {
         HTMLMediaElement: g,
@@ -49,7 +56,11 @@
           t === 'about:srcdoc' ? new URL(t) : (t.startsWith('blob:') && (t = t.slice(5)), new URL(e.sourceUrl(t))),
         (t) => e.rewriteUrl(t)
       ))
-    let u = k
+    // u is the cookie string baked into the page; q the live cookie jar, once loaded (see R())
+    let u = k,
+      q = null,
+      // Fires cookieStore change events (see B())
+      J = () => {}
     if (
       ((e.meta.url = e.location),
       (e.domain = e.meta.url.host),
@@ -72,17 +83,27 @@
       }),
       o.localStorage)
     ) {
-      for (let t in o.localStorage)
-        t.startsWith(i + e.location.origin + '@') &&
-          (e.localStorageObj[t.slice((i + e.location.origin + '@').length)] = o.localStorage.getItem(t))
+      if (Z) e.localStorageObj = Z.local[e.location.origin] ||= {}
+      else
+        for (let t in o.localStorage)
+          t.startsWith(I + e.location.origin + '@') &&
+            (e.localStorageObj[t.slice((I + e.location.origin + '@').length)] = o.localStorage.getItem(t))
       e.lsWrap = a.storage.emulate(a.storage.localStorage, e.localStorageObj)
     }
     if (o.sessionStorage) {
-      for (let t in o.sessionStorage)
-        t.startsWith(i + e.location.origin + '@') &&
-          (e.sessionStorageObj[t.slice((i + e.location.origin + '@').length)] = o.sessionStorage.getItem(t))
+      if (Z) e.sessionStorageObj = Z.session[e.location.origin] ||= {}
+      else
+        for (let t in o.sessionStorage)
+          t.startsWith(I + e.location.origin + '@') &&
+            (e.sessionStorageObj[t.slice((I + e.location.origin + '@').length)] = o.sessionStorage.getItem(t))
       e.ssWrap = a.storage.emulate(a.storage.sessionStorage, e.sessionStorageObj)
     }
+    R(),
+      G &&
+        e.addEventListener &&
+        e.addEventListener.call(G, 'message', ({ data: t }) =>
+          t && t.msg === 'updateCookies' ? R() : t && t.msg === 'blocked' && F(t)
+        )
     let d = o.document ? a.node.baseURI.get.call(o.document) : o.location.href,
       P = e.sourceUrl(d)
     a.nativeMethods.defineProperty(e.meta, 'base', {
@@ -164,20 +185,10 @@
         t.data.url = e.rewriteUrl(t.data.url)
       }),
       a.document.on('getCookie', (t) => {
-        t.data.value = u
+        t.data.value = q ? e.cookie.serialize(q, e.meta, !0, D()) : u
       }),
       a.document.on('setCookie', (t) => {
-        e.cookie.db().then((l) => {
-          e.cookie.setCookies(t.data.value, l, e.meta),
-            e.cookie.getCookies(l).then((s) => {
-              u = e.cookie.serialize(s, e.meta, !0)
-            })
-        })
-        let r = e.cookie.setCookie(t.data.value)[0]
-        r.path || (r.path = '/'),
-          r.domain || (r.domain = e.meta.url.hostname),
-          e.cookie.validateCookie(r, e.meta, !0) && (u.length && (u += '; '), (u += `${r.name}=${r.value}`)),
-          t.respondWith(t.data.value)
+        X(t.data.value), t.respondWith(t.data.value)
       }),
       a.element.on('setInnerHTML', (t) => {
         switch (t.that.tagName) {
@@ -241,16 +252,23 @@
         t.data.url = e.rewriteUrl(t.data.url)
       }),
       a.idb.on('idbFactoryOpen', (t) => {
-        t.data.name !== '__op' && (t.data.name = `${e.meta.url.origin}@${t.data.name}`)
+        // IndexedDB would outlive a private surface on disk, so it is refused as when storage is blocked
+        if (Z && t.data.name !== e.cookieDb)
+          throw new o.DOMException('IndexedDB is not available in private surfaces', 'SecurityError')
+        t.data.name !== e.cookieDb && (t.data.name = `${I.slice(i.length)}${e.meta.url.origin}@${t.data.name}`)
       }),
       a.idb.on('idbFactoryName', (t) => {
-        t.data.value = t.data.value.slice(e.meta.url.origin.length + 1)
+        t.data.value = t.data.value.slice(I.length - i.length + e.meta.url.origin.length + 1)
       }),
       a.history.on('replaceState', (t) => {
-        t.data.url && (t.data.url = e.rewriteUrl(t.data.url, '__uv' in t.that ? t.that.__uv.meta : e.meta))
+        t.data.url && (t.data.url = e.rewriteUrl(t.data.url, '__uv' in t.that ? t.that.__uv.meta : e.meta)),
+          t.respondWith(t.target.call(t.that, t.data.state, t.data.title, t.data.url)),
+          N('replace')
       }),
       a.history.on('pushState', (t) => {
-        t.data.url && (t.data.url = e.rewriteUrl(t.data.url, '__uv' in t.that ? t.that.__uv.meta : e.meta))
+        t.data.url && (t.data.url = e.rewriteUrl(t.data.url, '__uv' in t.that ? t.that.__uv.meta : e.meta)),
+          t.respondWith(t.target.call(t.that, t.data.state, t.data.title, t.data.url)),
+          N('push')
       }),
       a.element.on('getAttribute', (t) => {
         a.element.hasAttribute.call(t.that, e.attributePrefix + '-attr-' + t.data.name) &&
@@ -367,6 +385,357 @@
           console.error('catastrophic failure'), console.error(l)
         }
     }
+    // Only the top proxied frame reports to the embedding ShaderClient, with how its URL last changed
+    // ('push', 'replace' or 'traverse') so back/forward is never guessed from the URL alone
+    let V = !1,
+      Ve = null,
+      z = (() => {
+        if (!o.document || o.parent === o) return !1
+        try {
+          return !('__uv' in o.parent)
+        } catch {
+          return !1
+        }
+      })()
+    function N(t) {
+      typeof t == 'string' && (Ve = t),
+        !z ||
+          V ||
+          ((V = !0),
+          setTimeout(() => {
+            V = !1
+            let t = o.document.querySelector("link[rel*='icon']"),
+              r = Ve
+            ;(Ve = null),
+              o.parent.postMessage(
+                {
+                  __shader$type: 'frame',
+                  url: e.location.href,
+                  title: o.document.title,
+                  favicon: t ? t.href : '',
+                  navigation: r,
+                },
+                location.origin
+              )
+          }, 50))
+    }
+    // How this document was reached: a back/forward load, or a new entry
+    function Oe() {
+      let t = o.performance && o.performance.getEntriesByType && o.performance.getEntriesByType('navigation')[0]
+      return t && t.type === 'back_forward' ? 'traverse' : 'push'
+    }
+    // Requests of this page cancelled by the Service Worker's blocker, counted by the surface's ShaderClient
+    function F(t) {
+      let r = o
+      try {
+        for (; r.parent !== r && '__uv' in r.parent; ) r = r.parent
+        r.parent !== r && r.parent.postMessage({ __shader$type: 'blocked', url: t.url, filter: t.filter }, location.origin)
+      } catch {}
+    }
+    // Runs userscripts at their @run-at time: document-start now, document-end on DOMContentLoaded,
+    // document-idle just after it. @noframes scripts skip frames nested in a proxied page
+    function Ue(t) {
+      let r = !1
+      try {
+        r = o.parent !== o && '__uv' in o.parent
+      } catch {}
+      for (let l of t) {
+        if (l.meta.noframes && r) continue
+        let s = () => {
+            try {
+              l.run.apply(o, Ge(l))
+            } catch (d) {
+              console.error(`[Shader] Userscript ${l.id} failed:`, d)
+            }
+          },
+          d = (f) =>
+            o.document.readyState === 'loading' ? e.addEventListener.call(o.document, 'DOMContentLoaded', f) : f()
+        l.meta.runAt === 'document-start' ? s() : l.meta.runAt === 'document-idle' ? d(() => setTimeout(s)) : d(s)
+      }
+    }
+    // GM_* arguments of a userscript, in the order of the kernel's wrapper. Values are written back
+    // through the Service Worker; GM_xmlhttpRequest goes through the hooked fetch, so through the transport
+    function Ge(t) {
+      let r = t.values,
+        l = (s, d) => {
+          d === void 0 ? delete r[s] : (r[s] = d),
+            G && G.controller && G.controller.postMessage({ msg: 'userscriptValue', id: t.id, key: s, value: d })
+        }
+      return [
+        { script: { ...t.meta }, scriptHandler: 'Shuttle', version: '1.0' },
+        (s, d) => (s in r ? r[s] : d),
+        (s, d) => l(String(s), d === void 0 ? null : structuredClone(d)),
+        (s) => l(String(s), void 0),
+        () => Object.keys(r),
+        (s) => {
+          let d = o.document.createElement('style')
+          return (d.textContent = s), (o.document.head || o.document.documentElement).appendChild(d), d
+        },
+        (s) => {
+          let d = new o.AbortController(),
+            f = !1,
+            n = (i, m) => typeof s[i] == 'function' && s[i](m),
+            c = (i, m) => {
+              f || ((f = !0), clearTimeout(x), n(i, m), n('onloadend', m))
+            },
+            x =
+              s.timeout > 0 &&
+              setTimeout(() => {
+                c('ontimeout', { readyState: 4, status: 0, finalUrl: s.url }), d.abort()
+              }, s.timeout)
+          return (
+            o
+              .fetch(s.url, {
+                method: s.method || 'GET',
+                headers: s.headers || {},
+                body: s.data == null ? void 0 : s.data,
+                signal: d.signal,
+              })
+              .then(async (i) => {
+                let m = s.responseType,
+                  w = m === 'arraybuffer' ? await i.arrayBuffer() : m === 'blob' ? await i.blob() : await i.text(),
+                  j = w
+                if (m === 'json')
+                  try {
+                    j = JSON.parse(w)
+                  } catch {
+                    j = null
+                  }
+                c('onload', {
+                  readyState: 4,
+                  status: i.status,
+                  statusText: i.statusText,
+                  finalUrl: i.url,
+                  responseHeaders: [...i.headers].map(([y, v]) => `${y}: ${v}`).join('\r\n'),
+                  response: j,
+                  responseText: typeof w == 'string' ? w : void 0,
+                  context: s.context,
+                })
+              })
+              .catch((i) => c('onerror', { readyState: 4, status: 0, statusText: String(i), finalUrl: s.url, error: i })),
+            {
+              abort() {
+                f || (c('onabort', { readyState: 4, status: 0, finalUrl: s.url }), d.abort())
+              },
+            }
+          )
+        },
+        o,
+      ]
+    }
+    // Refuses WebSockets denied by the policy: the socket closes abnormally (1006), as on a network failure
+    function Pe(t, r) {
+      let l = t.createWebSocket.bind(t),
+        p = r.rules.map((x) => new RegExp(x.source, 'i'))
+      t.createWebSocket = (s, d, f, u) => {
+        // Same URL text as ShaderPolicy.normalize: `example.com.` is `example.com`
+        let h = String(s)
+        try {
+          let x = new URL(s)
+          x.hostname.endsWith('.') && ((x.hostname = x.hostname.slice(0, -1)), (h = x.href))
+        } catch {}
+        let w = r.rules[p.findIndex((x) => x.test(h))]
+        if ((w ? w.action : r.default) !== 'deny') return l(s, d, f, u)
+        console.warn(`[Shader] WebSocket to ${s} is blocked by policy`)
+        let n = new o.EventTarget()
+        return (
+          (n.readyState = 3),
+          (n.send = n.close = () => {}),
+          setTimeout(() => {
+            n.dispatchEvent(new o.Event('error')),
+              n.dispatchEvent(new o.CloseEvent('close', { code: 1006, reason: '', wasClean: !1 }))
+          }),
+          n
+        )
+      }
+    }
+    // navigator fields of the surface's UA profile (see __uv$config.userAgents)
+    function Y() {
+      let t = A.scope && A.scope.ua && (A.userAgents || {})[A.scope.ua],
+        r = o.Navigator || o.WorkerNavigator
+      if (!t || !r) return
+      let l = {
+        userAgent: t.userAgent,
+        appVersion: t.userAgent.replace(/^Mozilla\//, ''),
+        platform: t.platform,
+        vendor: t.vendor,
+        oscpu: t.oscpu,
+        maxTouchPoints: t.maxTouchPoints != null ? t.maxTouchPoints : t.mobile ? 5 : 0,
+      }
+      for (let s in l)
+        l[s] != null &&
+          a.nativeMethods.defineProperty(r.prototype, s, { get: () => l[s], configurable: !0, enumerable: !0 })
+      if (!t.brands) return void ('userAgentData' in r.prototype && delete r.prototype.userAgentData)
+      let s = { brands: t.brands, mobile: !!t.mobile, platform: t.uaPlatform || '' },
+        d = {
+          ...s,
+          architecture: t.architecture || 'x86',
+          bitness: t.bitness || '64',
+          model: t.model || '',
+          platformVersion: t.platformVersion || '',
+          uaFullVersion: t.fullVersion || t.brands[0].version,
+          fullVersionList: t.brands.map((f) => ({ brand: f.brand, version: t.fullVersion || f.version })),
+          wow64: !1,
+        },
+        f = {
+          get brands() {
+            return s.brands.map((m) => ({ ...m }))
+          },
+          mobile: s.mobile,
+          platform: s.platform,
+          getHighEntropyValues: (m) =>
+            Promise.resolve(
+              Object.fromEntries(Object.entries(d).filter(([x]) => x in s || (Array.isArray(m) && m.includes(x))))
+            ),
+          toJSON: () => ({ ...s, brands: f.brands }),
+        }
+      a.nativeMethods.defineProperty(r.prototype, 'userAgentData', { get: () => f, configurable: !0, enumerable: !0 })
+    }
+    // Cookie context of this document (RFC 6265bis): cross-site when an ancestor proxied frame is on another site
+    function D() {
+      let t = o,
+        r = e.cookie.site(e.meta.url),
+        l = !1
+      try {
+        for (; t.parent !== t && '__uv' in t.parent; )
+          (t = t.parent), e.cookie.site(t.__uv.meta.url) !== r && (l = !0)
+      } catch {}
+      return { crossSite: l, topSite: t.__uv ? e.cookie.site(t.__uv.meta.url) : r }
+    }
+    // Reloads the cookies seen by document.cookie: from the cookie store, or from the Service Worker for private surfaces
+    function R() {
+      return (Z
+        ? new Promise((t) => {
+            if (!G || !G.controller) return t(null)
+            let r = new MessageChannel()
+            ;(r.port1.onmessage = ({ data: l }) => t(l)),
+              G.controller.postMessage({ msg: 'privateCookies', id: e.scope.private }, [r.port2])
+          })
+        : e.cookie.db().then((t) => e.cookie.getCookies(t))
+      ).then(
+        (t) => {
+          Array.isArray(t) && ((q = t), J())
+        },
+        () => {}
+      )
+    }
+    // Stores a cookie written by a script (document.cookie or cookieStore). Returns the pending store write,
+    // or null when the cookie was rejected
+    function X(t) {
+      let r = D(),
+        l = e.cookie.parse(t, e.meta, !0, r),
+        s = Z
+          ? Promise.resolve(
+              G &&
+                G.controller &&
+                G.controller.postMessage({
+                  msg: 'privateCookie',
+                  id: e.scope.private,
+                  value: t,
+                  url: e.meta.url.href,
+                  context: r,
+                })
+            )
+          : e.cookie.db().then((f) => Promise.resolve(e.cookie.setCookies(t, f, e.meta, !0, r)).then(R))
+      // Applied right away, so the next read sees the write before the store answers
+      for (let f of l)
+        q
+          ? ((q = q.filter((d) => d.id !== f.id)), (f.expiry === null || f.expiry > Date.now()) && q.push(f))
+          : e.cookie.validateCookie(f, e.meta, !0, r) && (u.length && (u += '; '), (u += `${f.name}=${f.value}`))
+      return q && l.length && Promise.resolve().then(J), l.length ? s : null
+    }
+    // CookieListItem of a stored cookie
+    function Q(t) {
+      let r = t.expiry !== void 0 ? t.expiry : t.expires ? new Date(t.expires).getTime() : null
+      return {
+        name: t.name,
+        value: t.value,
+        domain: t.domain.startsWith('.') ? t.domain.slice(1) : null,
+        path: t.path,
+        expires: r,
+        secure: !!t.secure,
+        sameSite: String(t.sameSite || 'lax').toLowerCase(),
+        partitioned: !!t.partitionKey,
+      }
+    }
+    // cookieStore (window and worker globals) over the proxy cookie jar, with change events driven by
+    // the Service Worker's updateCookies broadcast (see R())
+    function B() {
+      if (!o.EventTarget) return
+      let t = new o.EventTarget(),
+        r = null,
+        l = async (f, d) => {
+          let m = typeof f == 'object' && f ? f : { name: f }
+          q || (await R())
+          let c = m.url ? { ...e.meta, url: new URL(m.url, e.meta.url) } : e.meta,
+            w = D()
+          return (q || [])
+            .filter((g) => e.cookie.validateCookie(g, c, !0, w) && (m.name == null || g.name === String(m.name)))
+            .sort((g, y) => y.path.length - g.path.length)
+            .slice(0, d ? 1 : void 0)
+            .map(Q)
+        },
+        s = (f, d) => {
+          let m = typeof f == 'object' && f ? { ...f } : { name: f, value: d }
+          if (m.name == null || m.value == null) throw new TypeError('A cookie needs a name and a value')
+          if (String(m.name).includes('=') || /[;\r\n]/.test(m.name + m.value)) throw new TypeError('Invalid cookie')
+          let c = (m.name !== '' ? m.name + '=' : '') + m.value + '; Path=' + (m.path || '/')
+          return (
+            m.expires != null && (c += '; Expires=' + new Date(m.expires).toUTCString()),
+            m.domain && (c += '; Domain=' + m.domain),
+            (c += '; SameSite=' + (m.sameSite || 'strict')),
+            m.partitioned && (c += '; Partitioned'),
+            /^(https|wss):$/.test(e.meta.url.protocol) && (c += '; Secure'),
+            c
+          )
+        }
+      J = () => {
+        let f = D(),
+          d = new o.Map()
+        for (let m of q) e.cookie.validateCookie(m, e.meta, !0, f) && d.set(m.id, m)
+        if (r) {
+          let m = [],
+            c = []
+          for (let [w, g] of d) (r.has(w) && r.get(w).value === g.value) || m.push(Q(g))
+          for (let [w, g] of r) d.has(w) || c.push({ ...Q(g), value: void 0 })
+          if (m.length || c.length) {
+            let w = o.CookieChangeEvent
+              ? new o.CookieChangeEvent('change', { changed: m, deleted: c })
+              : new o.Event('change')
+            o.CookieChangeEvent ||
+              (a.nativeMethods.defineProperty(w, 'changed', { value: m }),
+              a.nativeMethods.defineProperty(w, 'deleted', { value: c })),
+              e.dispatchEvent.call(t, w),
+              typeof t.onchange == 'function' && t.onchange.call(t, w)
+          }
+        }
+        r = d
+      }
+      Object.assign(t, {
+        onchange: null,
+        get: async (f) => (await l(f, !0))[0] || null,
+        getAll: (f) => l(f),
+        set: async (f, d) => {
+          let m = X(s(f, d))
+          if (!m) throw new TypeError('The cookie was rejected')
+          await m
+        },
+        delete: async (f) => {
+          let d = typeof f == 'object' && f ? f : { name: f }
+          await X(s({ ...d, value: '', expires: 0 }))
+        },
+      })
+      a.nativeMethods.defineProperty(o, 'cookieStore', { get: () => t, configurable: !0, enumerable: !0 })
+    }
+    // Site data of a private surface, held by the embedding page so every frame of the surface shares it
+    function K(t, r) {
+      let l = {}
+      try {
+        for (; t.parent !== t && '__uv' in t.parent; ) t = t.parent
+        l = t.parent !== t ? (t.parent.__uv$private ||= {}) : {}
+      } catch {}
+      return (l[r] ||= { local: {}, session: {} })
+    }
     if (
       (a.element.hookProperty(n, 'contentWindow', { get: (t, r) => (U(r), t.call(r)) }),
       a.element.hookProperty(n, 'contentDocument', { get: (t, r) => (U(r), t.call(r)) }),
@@ -412,6 +781,8 @@
         }
       }),
       'serviceWorker' in o.navigator && delete o.Navigator.prototype.serviceWorker,
+      Y(),
+      B(),
       a.document.on('getDomain', (t) => {
         t.data.value = e.domain
       }),
@@ -479,32 +850,52 @@
         }
       }),
       a.storage.on('get', (t) => {
-        t.data.name = i + e.meta.url.origin + '@' + t.data.name
+        Z && t.that.__uv$storageObj
+          ? t.respondWith(
+              a.nativeMethods.keys.call(null, t.that.__uv$storageObj).includes(t.data.name)
+                ? t.that.__uv$storageObj[t.data.name]
+                : void 0
+            )
+          : (t.data.name = I + e.meta.url.origin + '@' + t.data.name)
       }),
       a.storage.on('set', (t) => {
-        t.that.__uv$storageObj && (t.that.__uv$storageObj[t.data.name] = t.data.value),
-          (t.data.name = i + e.meta.url.origin + '@' + t.data.name)
+        t.that.__uv$storageObj && (t.that.__uv$storageObj[t.data.name] = String(t.data.value)),
+          Z && t.that.__uv$storageObj
+            ? t.respondWith(!0)
+            : (t.data.name = I + e.meta.url.origin + '@' + t.data.name)
       }),
       a.storage.on('delete', (t) => {
         t.that.__uv$storageObj && delete t.that.__uv$storageObj[t.data.name],
-          (t.data.name = i + e.meta.url.origin + '@' + t.data.name)
+          Z && t.that.__uv$storageObj
+            ? t.respondWith(!0)
+            : (t.data.name = I + e.meta.url.origin + '@' + t.data.name)
       }),
       a.storage.on('getItem', (t) => {
-        t.data.name = i + e.meta.url.origin + '@' + t.data.name
+        Z && t.that.__uv$storageObj
+          ? t.respondWith(
+              a.nativeMethods.keys.call(null, t.that.__uv$storageObj).includes(t.data.name)
+                ? t.that.__uv$storageObj[t.data.name]
+                : null
+            )
+          : (t.data.name = I + e.meta.url.origin + '@' + t.data.name)
       }),
       a.storage.on('setItem', (t) => {
-        t.that.__uv$storageObj && (t.that.__uv$storageObj[t.data.name] = t.data.value),
-          (t.data.name = i + e.meta.url.origin + '@' + t.data.name)
+        t.that.__uv$storageObj && (t.that.__uv$storageObj[t.data.name] = String(t.data.value)),
+          Z && t.that.__uv$storageObj
+            ? t.respondWith(void 0)
+            : (t.data.name = I + e.meta.url.origin + '@' + t.data.name)
       }),
       a.storage.on('removeItem', (t) => {
         t.that.__uv$storageObj && delete t.that.__uv$storageObj[t.data.name],
-          (t.data.name = i + e.meta.url.origin + '@' + t.data.name)
+          Z && t.that.__uv$storageObj
+            ? t.respondWith(void 0)
+            : (t.data.name = I + e.meta.url.origin + '@' + t.data.name)
       }),
       a.storage.on('clear', (t) => {
         if (t.that.__uv$storageObj)
           for (let r of a.nativeMethods.keys.call(null, t.that.__uv$storageObj))
             delete t.that.__uv$storageObj[r],
-              a.storage.removeItem.call(t.that, i + e.meta.url.origin + '@' + r),
+              Z || a.storage.removeItem.call(t.that, I + e.meta.url.origin + '@' + r),
               t.respondWith()
       }),
       a.storage.on('length', (t) => {
@@ -729,7 +1120,24 @@
         set(t) {
           this.eval = t
         },
-      })
+      }),
+      z &&
+        (new o.MutationObserver(N).observe(o.document.head || o.document.documentElement, {
+          subtree: !0,
+          childList: !0,
+          characterData: !0,
+          attributes: !0,
+          attributeFilter: ['href', 'rel'],
+        }),
+        // popstate also fires for fragment links; the Navigation API, where there is one, tells them apart
+        (o.navigation
+          ? e.addEventListener.call(o.navigation, 'navigate', (t) => N(t.navigationType))
+          : e.addEventListener.call(o, 'popstate', () => N('traverse'))),
+        e.addEventListener.call(o, 'hashchange', N),
+        e.addEventListener.call(o.document, 'DOMContentLoaded', N),
+        N(Oe()))
+    // Userscripts the kernel queued for this document (see shader-userscripts.js)
+    o === self && o.document && self.__uv$userscripts && (Ue(self.__uv$userscripts), delete self.__uv$userscripts)
   }
 })()
 //# sourceMappingURL=uv.handler.js.map
@@ -22,17 +22,26 @@
     C = ['GET', 'HEAD'],
     g = class extends h.EventEmitter {
       constructor(e = __uv$config) {
-        super(), e.prefix || (e.prefix = '/service/'), (this.config = e), (this.bareClient = new h.BareClient())
+        super(),
+          e.prefix || (e.prefix = '/service/'),
+          (this.config = e),
+          (this.bareClient = new h.BareClient()),
+          (this.blocker = null),
+          (this.policy = null),
+          (this.userscripts = null),
+          (this.privateRestores = {})
       }
       route({ request: e }) {
         return !!e.url.startsWith(location.origin + this.config.prefix)
       }
-      async fetch({ request: e }) {
+      async fetch({ request: e, clientId: q }) {
         let s
         try {
           if (!e.url.startsWith(location.origin + this.config.prefix)) return await fetch(e)
-          let t = new h(this.config)
-          typeof this.config.construct == 'function' && this.config.construct(t, 'service')
+          let a = Q(e.url, this.config),
+            t = new h({ ...this.config, prefix: a.prefix, scope: a.scope })
+          typeof this.config.construct == 'function' && this.config.construct(t, 'service'),
+            a.scope.private && (await this.restorePrivate(a.scope.private))
           let w = await t.cookie.db()
           ;(t.meta.origin = location.origin), (t.meta.base = t.meta.url = new URL(t.sourceUrl(e.url)))
           let o = new v(e, t, C.includes(e.method.toUpperCase()) ? null : await e.blob())
@@ -45,11 +54,24 @@
               (o.headers.origin = i.origin),
               (o.headers.referer = i.href)
           }
-          let f = (await t.cookie.getCookies(w)) || [],
-            x = t.cookie.serialize(f, t.meta, !1)
-          ;(o.headers['user-agent'] = navigator.userAgent), x && (o.headers.cookie = x)
+          // URLs denied by the administrator policy (see shader-policy.js), documents and subresources alike
+          let A = this.policy && !o.blob && this.policy.evaluate(o.url)
+          if (A && !A.allowed) return H(e, o.url, A)
+          // Requests matched by the blocker's network filters (see shader-blocker.js) never reach the transport
+          if (this.blocker) {
+            let i = q ? await self.clients.get(q) : null,
+              n = this.blocker.match(o.url, {
+                destination: e.destination,
+                initiator: i && i.url.startsWith(location.origin + t.prefix) ? t.sourceUrl(i.url) : o.headers.referer,
+              })
+            if (n) return N(e, o.url, i, n)
+          }
+          let P = Z(e, t),
+            f = (await t.cookie.getCookies(w)) || [],
+            x = t.cookie.serialize(f, t.meta, !1, P)
+          J(o.headers, a.scope), x && (o.headers.cookie = x)
           let p = new u(o, null, null)
-          if ((this.emit('request', p), p.intercepted)) return p.returnValue
+          if ((this.emit('request', p), await p.settled(), p.intercepted)) return p.returnValue
           s = o.blob ? 'blob:' + location.origin + o.url.pathname : o.url
           let c = await this.bareClient.fetch(s, {
               headers: o.headers,
@@ -62,7 +84,21 @@
             }),
             r = new y(o, c),
             l = new u(r, null, null)
-          if ((this.emit('beforemod', l), l.intercepted)) return l.returnValue
+          if ((this.emit('beforemod', l), await l.settled(), l.intercepted)) return l.returnValue
+          if (
+            ['document', 'iframe'].includes(e.destination) &&
+            r.status >= 500 &&
+            (this.config.errorPage || {}).interceptUpstream
+          )
+            return T(
+              new self.ShaderErrors.UpstreamError(`${o.url.href} responded with ${r.status} ${r.statusText}`, {
+                url: o.url.href,
+                details: { status: r.status },
+              }),
+              s,
+              'upstream',
+              r.status
+            )
           for (let i of O) r.headers[i] && delete r.headers[i]
           if (
             (r.headers.location && (r.headers.location = t.rewriteUrl(r.headers.location)),
@@ -77,7 +113,8 @@
           }
           if (
             (r.headers['set-cookie'] &&
-              (Promise.resolve(t.cookie.setCookies(r.headers['set-cookie'], w, t.meta)).then(() => {
+              (Promise.resolve(t.cookie.setCookies(r.headers['set-cookie'], w, t.meta, !1, P)).then(() => {
+                a.scope.private && this.savePrivate(a.scope.private)
                 self.clients.matchAll().then(function (i) {
                   i.forEach(function (n) {
                     n.postMessage({ msg: 'updateCookies', url: t.meta.url.href })
@@ -87,75 +124,153 @@
               delete r.headers['set-cookie']),
             r.body)
           )
-            switch (e.destination) {
-              case 'script':
-                r.body = t.js.rewrite(await c.text())
-                break
-              case 'worker':
-                {
-                  let i = [t.bundleScript, t.clientScript, t.configScript, t.handlerScript]
-                    .map((n) => JSON.stringify(n))
-                    .join(',')
-                  ;(r.body = `if (!self.__uv) {
-                                ${t.createJsInject(t.cookie.serialize(f, t.meta, !0), e.referrer)}
+            try {
+              switch (e.destination) {
+                case 'script':
+                  r.body = t.js.rewrite(await c.text())
+                  break
+                case 'worker':
+                  {
+                    let i = [t.bundleScript, t.clientScript, t.configScript, t.handlerScript]
+                      .map((n) => JSON.stringify(n))
+                      .join(',')
+                    ;(r.body = `if (!self.__uv) {
+                                ${this.policy ? V(this.policy) : ''}
+                                ${t.createJsInject(t.cookie.serialize(f, t.meta, !0, P), e.referrer)}
                             importScripts(${i});
                             }
 `),
-                    (r.body += t.js.rewrite(await c.text()))
-                }
-                break
-              case 'style':
-                r.body = t.rewriteCSS(await c.text())
-                break
-              case 'iframe':
-              case 'document':
-                if (r.getHeader('content-type') && r.getHeader('content-type').startsWith('text/html')) {
-                  let i = await c.text()
-                  if (Array.isArray(this.config.inject)) {
-                    let n = i.indexOf('<head>'),
-                      m = i.indexOf('<HEAD>'),
-                      b = i.indexOf('<body>'),
-                      k = i.indexOf('<BODY>'),
-                      S = new URL(s),
-                      U = this.config.inject
-                    for (let d of U)
-                      new RegExp(d.host).test(S.host) &&
-                        (d.injectTo === 'head'
-                          ? (n !== -1 || m !== -1) && (i = i.slice(0, n) + `${d.html}` + i.slice(n))
-                          : d.injectTo === 'body' &&
-                            (b !== -1 || k !== -1) &&
-                            (i = i.slice(0, b) + `${d.html}` + i.slice(b)))
+                      (r.body += t.js.rewrite(await c.text()))
+                  }
+                  break
+                case 'style':
+                  r.body = t.rewriteCSS(await c.text())
+                  break
+                case 'iframe':
+                case 'document':
+                  if (r.getHeader('content-type') && r.getHeader('content-type').startsWith('text/html')) {
+                    let S = new URL(s),
+                      // Raw HTML of __uv$config.inject for this host, placed before the <head> or <body> tag
+                      I = (Array.isArray(this.config.inject) ? this.config.inject : []).filter(
+                        (d) => ['head', 'body'].includes(d.injectTo) && new RegExp(d.host).test(S.host)
+                      ),
+                      j = this.blocker && this.blocker.cosmetic(t.meta.url),
+                      L = this.userscripts
+                        ? await Promise.all(
+                            this.userscripts
+                              .match(t.meta.url)
+                              .map(async (d) => X(d, await this.userscripts.getValues(d.id), t))
+                          )
+                        : [],
+                      // Userscripts are queued before the handler, which collects them when it starts
+                      M = (this.policy ? [W('script', V(this.policy))] : []).concat(
+                        L.filter(Boolean),
+                        t.createHtmlInject(
+                          t.handlerScript,
+                          t.bundleScript,
+                          t.clientScript,
+                          t.configScript,
+                          t.cookie.serialize(f, t.meta, !0, P),
+                          e.referrer
+                        ),
+                        j ? W('style', j) : []
+                      )
+                    // Rewritten while it downloads (see shader-htmlstream.js), so the page renders before its last byte.
+                    // Bodiless responses (204, HEAD) take the buffered path, which still writes the injection
+                    if (c.body && self.ShaderHtmlStream && this.config.streamHtml !== !1)
+                      (r.body = c.body.pipeThrough(new self.ShaderHtmlStream(t, { injectHead: M, inject: I }))),
+                        delete r.headers['content-length']
+                    else {
+                      let i = await c.text()
+                      // The tag is searched in any case, and again after each insertion
+                      for (let d of I) {
+                        let n = i.search(d.injectTo === 'head' ? /<head[\s>]/i : /<body[\s>]/i)
+                        n !== -1 && (i = i.slice(0, n) + `${d.html}` + i.slice(n))
+                      }
+                      r.body = t.rewriteHtml(i, { document: !0, injectHead: M })
+                    }
                   }
-                  r.body = t.rewriteHtml(i, {
-                    document: !0,
-                    injectHead: t.createHtmlInject(
-                      t.handlerScript,
-                      t.bundleScript,
-                      t.clientScript,
-                      t.configScript,
-                      t.cookie.serialize(f, t.meta, !0),
-                      e.referrer
-                    ),
+                  break
+                default:
+                  break
+              }
+            } catch (i) {
+              throw i instanceof self.ShaderErrors.ShaderError
+                ? i
+                : new self.ShaderErrors.RewriteError(`Failed to rewrite ${e.destination || 'response'}: ${i.message}`, {
+                    cause: i,
+                    url: t.meta.url.href,
                   })
-                }
-                break
-              default:
-                break
             }
           return (
             o.headers.accept === 'text/event-stream' && (r.headers['content-type'] = 'text/event-stream'),
             crossOriginIsolated && (r.headers['Cross-Origin-Embedder-Policy'] = 'require-corp'),
             this.emit('response', l),
+            await l.settled(),
             l.intercepted
               ? l.returnValue
               : new Response(r.body, { headers: r.headers, status: r.status, statusText: r.statusText })
           )
         } catch (t) {
+          let i = self.ShaderErrors.ShaderError.from(t, { url: s ? String(s) : e.url })
           return ['document', 'iframe'].includes(e.destination)
-            ? (console.error(t), T(t, s))
-            : new Response(void 0, { status: 500 })
+            ? (console.error(t), T(i, s))
+            : new Response(void 0, { status: 500, headers: { 'x-shader-error': i.code } })
         }
       }
+      // Cookies written by document.cookie in a private surface (see the handler's setCookie hook)
+      async setPrivateCookie(e, s, t, w = {}) {
+        await this.restorePrivate(e)
+        let a = new h({ ...this.config, scope: { private: e } })
+        ;(a.meta.url = new URL(t)), await a.cookie.setCookies(s, await a.cookie.db(), a.meta, !0, w), this.savePrivate(e)
+        for (let i of await self.clients.matchAll()) i.postMessage({ msg: 'updateCookies', url: t })
+      }
+      // Cookie jar of a private surface, for the handler's live document.cookie: scripts never see HttpOnly cookies
+      async getPrivateCookies(e) {
+        await this.restorePrivate(e)
+        let s = new h({ ...this.config, scope: { private: e } })
+        return (await s.cookie.getCookies(await s.cookie.db())).filter((t) => !t.httpOnly)
+      }
+      // Decoded URL and surface scope of a proxied page, or null for any other client (such as the embedding page)
+      proxiedSource(e) {
+        if (!e || !e.url || !e.url.startsWith(location.origin + this.config.prefix)) return null
+        let s = Q(e.url, this.config)
+        return { url: new h({ ...this.config, prefix: s.prefix, scope: s.scope }).sourceUrl(e.url), scope: s.scope }
+      }
+      // Private cookie jars are kept by the embedding page (window.__uv$private, see ShaderCanvas), which
+      // outlives this worker: a restarted worker asks for a jar back before it uses it
+      restorePrivate(e) {
+        if (h.privateCookies(e)) return Promise.resolve()
+        let s = this.privateRestores
+        return (s[e] ||= (async () => {
+          let t = await this.embedders(),
+            a = await new Promise((i) => {
+              setTimeout(i, 1e3, [])
+              for (let n of t) {
+                let c = new MessageChannel()
+                ;(c.port1.onmessage = ({ data: r }) => Array.isArray(r) && i(r)),
+                  n.postMessage({ msg: 'privateJar', type: 'request', id: e }, [c.port2])
+              }
+            })
+          h.privateCookies(e) || h.restorePrivate(e, a)
+        })().finally(() => delete s[e]))
+      }
+      // Hands a changed private cookie jar to the embedding page
+      async savePrivate(e) {
+        let s = h.privateCookies(e)
+        if (s) for (let t of await this.embedders()) t.postMessage({ msg: 'privateJar', type: 'update', id: e, cookies: s })
+      }
+      // Shuttle pages embedding the proxied ones: jars, HttpOnly cookies included, never go to proxied pages
+      async embedders() {
+        let e = location.origin + '/'
+        return (await self.clients.matchAll({ type: 'window', includeUncontrolled: !0 })).filter(
+          (s) => s.url.startsWith(e) && !s.url.startsWith(location.origin + this.config.prefix)
+        )
+      }
+      // Drops the in-memory cookie jar of a closed private surface
+      clearPrivate(e) {
+        return h.clearPrivate(e)
+      }
       static Vector = h
     }
   self.UVServiceWorker = g
@@ -207,8 +322,16 @@
     u = class {
       #e
       #t
+      #n
       constructor(e = {}, s = null, t = null) {
-        ;(this.#e = !1), (this.#t = null), (this.data = e), (this.target = s), (this.that = t)
+        ;(this.#e = !1), (this.#t = null), (this.#n = []), (this.data = e), (this.target = s), (this.that = t)
+      }
+      // Listeners may defer the request until a promise settles (like ExtendableEvent#waitUntil)
+      waitUntil(e) {
+        this.#n.push(e)
+      }
+      settled() {
+        return Promise.all(this.#n.splice(0))
       }
       get intercepted() {
         return this.#e
@@ -220,59 +343,223 @@
         ;(this.#t = e), (this.#e = !0)
       }
     }
-  function E(a, e) {
+  var D = {
+      network: {
+        title: "This site can't be reached",
+        message: 'Shuttle could not connect to {{hostname}}. Check the address and your connection, then retry.',
+        status: 502,
+      },
+      blocked: { title: 'This site is blocked', message: 'Access to {{hostname}} has been blocked.', status: 403 },
+      policy: {
+        title: 'Blocked by policy',
+        message: "Your organization's policy does not allow access to {{hostname}}.",
+        status: 403,
+      },
+      upstream: {
+        title: '{{hostname}} is having problems',
+        message: 'The site responded with a server error ({{status}}). It may be temporarily unavailable.',
+        status: 502,
+      },
+      error: {
+        title: 'Error processing your request',
+        message: 'Shuttle failed to load {{hostname}}. Retrying or clearing the site data may help.',
+        status: 500,
+      },
+    },
+    F = {
+      background: '#0a0c0f',
+      surface: '#161b22',
+      border: '#30363d',
+      text: '#e2e8f0',
+      muted: '#94a3b8',
+      accent: '#a7f3d0',
+    },
+    R = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>{{title}}</title>
+<style>
+{{themeCss}}
+* { box-sizing: border-box; }
+body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: var(--shader-background); color: var(--shader-text); font-family: Inter, -apple-system, BlinkMacSystemFont, sans-serif; }
+main { width: 100%; max-width: 560px; margin: 20px; padding: 30px; background: var(--shader-surface); border: 1px solid var(--shader-border); border-radius: 12px; }
+h1 { margin: 0 0 12px; font-size: 1.3rem; font-weight: 600; }
+p { color: var(--shader-muted); line-height: 1.5; }
+code { color: var(--shader-accent); }
+details { margin: 15px 0; color: var(--shader-muted); font-size: 0.85rem; }
+textarea { width: 100%; height: 140px; margin-top: 8px; background: var(--shader-background); color: var(--shader-muted); border: 1px solid var(--shader-border); border-radius: 6px; }
+button { padding: 8px 20px; border: none; border-radius: 6px; background: var(--shader-accent); color: #000; font-weight: 600; cursor: pointer; }
+</style>
+</head>
+<body>
+<main>
+<h1>{{title}}</h1>
+<p>{{message}}</p>
+<p><b>{{url}}</b></p>
+<details>
+<summary>Details (<code>{{code}}</code>)</summary>
+<textarea readonly>{{trace}}</textarea>
+</details>
+<button data-shader-retry>Retry</button>
+</main>
+</body>
+</html>
+`
+  function K(a) {
+    return String(a).replace(
+      /[&<>"']/g,
+      (e) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[e])
+    )
+  }
+  function G(a) {
+    let e = a && a.code
+    return ['ERR_DNS_FAILURE', 'ERR_TLS_FAILURE', 'ERR_TIMEOUT', 'ERR_WISP_CONNECT_FAILED', 'ERR_TRANSPORT_SETUP_FAILED'].includes(
+      e
+    )
+      ? 'network'
+      : e === 'ERR_BLOCKED'
+      ? 'blocked'
+      : e === 'ERR_UPSTREAM_ERROR'
+      ? 'upstream'
+      : 'error'
+  }
+  function B(k) {
+    let c = (self.__uv$config && self.__uv$config.errorPage) || {}
+    return [c, { ...D[k], ...((c.pages && c.pages[k]) || {}) }]
+  }
+  function E(a, e, k = G(a), n) {
+    let [c, d] = B(k),
+      w = { ...F, ...(c.theme || {}) },
+      h = ''
+    try {
+      h = new URL(e).hostname
+    } catch {}
+    let v = {
+        url: e || '',
+        hostname: h || location.hostname,
+        code: a.code,
+        status: n || '',
+        kind: k,
+        trace: String(a.stack || a),
+      },
+      f = (i) => i.replace(/{{(\w+)}}/g, (m, x) => (x in v ? v[x] : m))
+    ;(v.title = f(d.title)), (v.message = f(d.message))
     let s = `
-        errorTrace.value = ${JSON.stringify(a)};
-        fetchedURL.textContent = ${JSON.stringify(e)};
-        for (const node of document.querySelectorAll("#uvHostname")) node.textContent = ${JSON.stringify(
-          location.hostname
-        )};
-        reload.addEventListener("click", () => location.reload());
-        uvVersion.textContent = ${JSON.stringify('3.2.10')};
-        uvBuild.textContent = ${JSON.stringify('92d9075')};
-    `
-    return `<!DOCTYPE html>
-        <html>
-        <head>
-        <meta charset='utf-8' />
-        <title>Error</title>
-        <style>
-        * { background-color: white }
-        </style>
-        </head>
-        <body>
-        <h1 id='errorTitle'>Error processing your request</h1>
-        <hr />
-        <p>Failed to load <b id="fetchedURL"></b></p>
-        <p id="errorMessage">Internal Server Error</p>
-        <textarea id="errorTrace" cols="40" rows="10" readonly></textarea>
-        <p>Try:</p>
-        <ul>
-        <li>Checking your internet connection</li>
-        <li>Verifying you entered the correct address</li>
-        <li>Clearing the site data</li>
-        <li>Contacting <b id="uvHostname"></b>'s administrator</li>
-        <li>Verify the server isn't censored</li>
-        </ul>
-        <p>If you're the administrator of <b id="uvHostname"></b>, try:</p>
-        <ul>
-        <li>Restarting your server</li>
-        <li>Updating Vector</li>
-        </ul>
-        <button id="reload">Reload</button>
-        <hr />
-        <p><i>Vector v<span id="uvVersion"></span> (build <span id="uvBuild"></span>)</i></p>
-        <script src="${'data:application/javascript,' + encodeURIComponent(s)}"><\/script>
-        </body>
-        </html>
-        `
+        parent !== self && parent.postMessage({ __shader$type: "error", error: ${JSON.stringify(a.toJSON())} }, location.origin);
+        for (const node of document.querySelectorAll("[data-shader-retry], #retry"))
+          node.addEventListener("click", () =>
+            parent !== self
+              ? parent.postMessage({ __shader$type: "retry", url: ${JSON.stringify(e || '')} }, location.origin)
+              : location.reload()
+          );
+    `,
+      b = Object.entries(w)
+        .map(([i, m]) => `--shader-${i}: ${m};`)
+        .join(' ')
+        .replace(/[<>{}]/g, ''),
+      r = (d.template || c.template || R).replace(/{{(\w+)}}/g, (i, m) =>
+        m === 'themeCss' ? `:root { ${b} }` : m in v ? K(v[m]) : i
+      ),
+      l = `<script src="${'data:application/javascript,' + encodeURIComponent(s)}"><\/script>`
+    return r.includes('</body>') ? r.replace('</body>', l + '</body>') : r + l
   }
-  function T(a, e) {
-    let s = { 'content-type': 'text/html' }
+  function T(a, e, k = G(a), n) {
+    let [, d] = B(k),
+      s = { 'content-type': 'text/html', 'x-shader-error': a.code }
     return (
       crossOriginIsolated && (s['Cross-Origin-Embedder-Policy'] = 'require-corp'),
-      new Response(E(String(a), e), { status: 500, headers: s })
+      new Response(E(a, e ? String(e) : '', k, n), { status: d.status || 500, headers: s })
+    )
+  }
+  // Answer to a request cancelled by the blocker, counted by the page that made it (see ShaderClient)
+  async function N(a, e, c, n) {
+    c || (c = (await self.clients.matchAll()).find((i) => i.url === a.referrer))
+    c && c.postMessage({ msg: 'blocked', url: e.href, filter: n.text })
+    return ['document', 'iframe'].includes(a.destination)
+      ? T(new self.ShaderErrors.BlockedError(`${e.href} was blocked by the filter ${n.text}`, { url: e.href, details: { filter: n.text } }), e)
+      : Response.error()
+  }
+  // Answer to a request denied by the policy: the branded page for documents, an empty 403 otherwise
+  function H(a, e, s) {
+    let c = new self.ShaderErrors.BlockedError(`${e.href} is blocked by policy`, {
+      url: e.href,
+      details: { policy: s.policy, rule: s.rule },
+    })
+    return ['document', 'iframe'].includes(a.destination)
+      ? T(c, e, 'policy')
+      : new Response(void 0, { status: 403, headers: { 'x-shader-error': c.code } })
+  }
+  // Compiled policy for the page handler, which checks WebSockets against it
+  function V(a) {
+    return `self.__uv$policy = ${JSON.stringify(a.toJSON()).replace(/</g, '\\u003c')};`
+  }
+  // Userscript (see shader-userscripts.js) queued for the page handler, which runs it at its @run-at time.
+  // The source is rewritten like any page script; a script the rewriter rejects is skipped. The node removes
+  // itself as it runs, so page scripts never find the script's stored values in the document
+  function X(a, c, t) {
+    let e
+    try {
+      e = t.js.rewrite(a.source)
+    } catch (i) {
+      return console.warn(`[SW] Userscript ${a.id} could not be rewritten:`, i), null
+    }
+    let s = JSON.stringify({ id: a.id, meta: a.meta, values: c }).replace(/</g, '\\u003c')
+    return W(
+      'script',
+      `document.currentScript && document.currentScript.remove();(self.__uv$userscripts = self.__uv$userscripts || []).push({ ...${s}, run: function (GM_info, GM_getValue, GM_setValue, GM_deleteValue, GM_listValues, GM_addStyle, GM_xmlhttpRequest, unsafeWindow) {\n${e.replace(
+        /<\/(script)/gi,
+        '<\\/$1'
+      )}\n} });`
     )
   }
+  // <style>/<script> node for the head injection. The text needs its parent to be serialized raw (`a > b`, not `a &gt; b`)
+  function W(a, c) {
+    let e = {
+      tagName: a,
+      nodeName: a,
+      namespaceURI: 'http://www.w3.org/1999/xhtml',
+      childNodes: [],
+      attrs: [{ name: '__uv-' + a, value: '1', skip: !0 }],
+      skip: !0,
+    }
+    return e.childNodes.push({ nodeName: '#text', value: c, parentNode: e }), e
+  }
+  // Surface scope carried after the prefix (see shader.config.mjs): /calc/@ua=firefox-desktop/<encoded url>
+  function Q(a, c) {
+    let e = a.slice((location.origin + c.prefix).length).match(/^@([\w=&-]*)\//)
+    return e
+      ? { prefix: c.prefix + '@' + e[1] + '/', scope: Object.fromEntries(new URLSearchParams(e[1])) }
+      : { prefix: c.prefix, scope: {} }
+  }
+  // Cookie context of a request (RFC 6265bis): cross-site when the decoded referrer is on another site.
+  // Every navigation counts as top-level, proxied pages being framed by the embedding page
+  function Z(a, e) {
+    let s = e.cookie.site(e.meta.url),
+      c = null
+    try {
+      a.referrer &&
+        a.referrer.startsWith(location.origin + e.prefix) &&
+        (c = e.cookie.site(new URL(e.sourceUrl(a.referrer))))
+    } catch {}
+    return {
+      method: a.method,
+      navigate: a.mode === 'navigate',
+      crossSite: !!c && c !== s,
+      topSite: a.mode === 'navigate' ? s : c || s,
+    }
+  }
+  // User-Agent and client hints of the surface's UA profile
+  function J(a, e) {
+    let s = e.ua && (self.__uv$config.userAgents || {})[e.ua]
+    if (!s) return void (a['user-agent'] = navigator.userAgent)
+    a['user-agent'] = s.userAgent
+    for (let t of Object.keys(a)) t.startsWith('sec-ch-ua') && delete a[t]
+    s.brands &&
+      ((a['sec-ch-ua'] = s.brands.map((t) => `"${t.brand}";v="${t.version}"`).join(', ')),
+      (a['sec-ch-ua-mobile'] = s.mobile ? '?1' : '?0'),
+      (a['sec-ch-ua-platform'] = JSON.stringify(s.uaPlatform || '')))
+  }
 })()
 //# sourceMappingURL=uv.sw.js.map
@@ -0,0 +1,239 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+globalThis.self = globalThis
+const { ShaderBlocker } = await import('../shader-blocker.js')
+
+/**
+ * A blocker with the given filters.
+ */
+function blocker(filters, options) {
+  const instance = new ShaderBlocker(options)
+  instance.parse(filters.join('\n'))
+  return instance
+}
+
+/**
+ * The text of the filter blocking a request, or null when it is allowed.
+ */
+function blockedBy(instance, url, context) {
+  const filter = instance.match(url, context)
+  return filter && filter.text
+}
+
+test('filters apply to hostnames with a trailing dot', () => {
+  const blocker = new ShaderBlocker()
+  blocker.parse(['||ads.example.com^', 'news.example.com##.banner'].join('\n'))
+
+  assert.ok(blocker.match('https://ads.example.com./track.js', { initiator: 'https://news.example.com/' }))
+  assert.equal(blocker.cosmetic('https://news.example.com./'), '.banner { display: none !important; }')
+})
+
+test('the allowlist applies to hostnames with a trailing dot', () => {
+  const blocker = new ShaderBlocker({ allowlist: ['news.example.com'] })
+  blocker.parse('||ads.example.com^')
+
+  assert.equal(blocker.match('https://ads.example.com/track.js', { initiator: 'https://news.example.com./' }), null)
+})
+
+test('parse counts the supported filters and skips the others', () => {
+  const instance = new ShaderBlocker()
+  const added = instance.parse(
+    [
+      '! comment',
+      '[Adblock Plus 2.0]',
+      '||ads.example.com^',
+      '##.ad',
+      'example.com##+js(nowebrtc)',
+      'example.com##div:has-text(Sponsored)',
+      '||example.com^$redirect=noop.js',
+      '||example.com^$removeparam=utm_source',
+    ].join('\n')
+  )
+
+  assert.equal(added, 2)
+  assert.deepEqual(instance.stats, { network: 1, cosmetic: 1 })
+})
+
+test('patterns follow the anchor and separator syntax', () => {
+  const instance = blocker(['||ads.example.com^', '|http://plain.example.org/', '/banner/*/img^', 'swf|'])
+
+  assert.equal(blockedBy(instance, 'https://ads.example.com/x.js'), '||ads.example.com^')
+  assert.equal(blockedBy(instance, 'https://cdn.ads.example.com/x.js'), '||ads.example.com^')
+  assert.equal(blockedBy(instance, 'https://notads.example.com/x.js'), null)
+  assert.equal(blockedBy(instance, 'https://ads.example.com.evil.net/x.js'), null)
+  assert.equal(blockedBy(instance, 'http://plain.example.org/a'), '|http://plain.example.org/')
+  assert.equal(blockedBy(instance, 'https://example.net/?u=http://plain.example.org/'), null)
+  assert.equal(blockedBy(instance, 'https://example.net/banner/top/img?x=1'), '/banner/*/img^')
+  assert.equal(blockedBy(instance, 'https://example.net/banner/top/imgs'), null)
+  assert.equal(blockedBy(instance, 'https://example.net/movie.swf'), 'swf|')
+  assert.equal(blockedBy(instance, 'https://example.net/movie.swf?x'), null)
+})
+
+test('regular expression filters and $match-case', () => {
+  const instance = blocker(['/\\/ad[0-9]+\\.js/', '/Tracker.js$match-case'])
+
+  assert.equal(blockedBy(instance, 'https://example.com/ad42.js'), '/\\/ad[0-9]+\\.js/')
+  assert.equal(blockedBy(instance, 'https://example.com/adx.js'), null)
+  assert.equal(blockedBy(instance, 'https://example.com/Tracker.js'), '/Tracker.js$match-case')
+  assert.equal(blockedBy(instance, 'https://example.com/tracker.js'), null)
+})
+
+test('type options match the request destination', () => {
+  const instance = blocker(['||cdn.example.com^$script', '||img.example.com^$~image'])
+  const page = 'https://site.test/'
+
+  assert.ok(blockedBy(instance, 'https://cdn.example.com/a.js', { destination: 'script', initiator: page }))
+  assert.equal(blockedBy(instance, 'https://cdn.example.com/a.png', { destination: 'image', initiator: page }), null)
+  assert.equal(blockedBy(instance, 'https://img.example.com/a.png', { destination: 'image', initiator: page }), null)
+  assert.ok(blockedBy(instance, 'https://img.example.com/a.js', { destination: 'script', initiator: page }))
+  assert.ok(blockedBy(instance, 'https://img.example.com/data', { initiator: page }))
+})
+
+test('filters without a type never block documents', () => {
+  const instance = blocker(['||ads.example.com^', '||popup.example.com^$document'])
+
+  assert.equal(blockedBy(instance, 'https://ads.example.com/', { destination: 'document' }), null)
+  assert.ok(blockedBy(instance, 'https://ads.example.com/', { destination: 'iframe', initiator: 'https://site.test/' }))
+  assert.ok(blockedBy(instance, 'https://popup.example.com/', { destination: 'document' }))
+})
+
+test('$third-party and $~third-party compare the sites of the request and the page', () => {
+  const instance = blocker(['||tracker.example.com^$third-party', '||self.example.net^$~third-party'])
+
+  assert.ok(blockedBy(instance, 'https://tracker.example.com/p', { initiator: 'https://news.test/' }))
+  assert.equal(blockedBy(instance, 'https://tracker.example.com/p', { initiator: 'https://www.example.com/' }), null)
+  assert.ok(blockedBy(instance, 'https://self.example.net/p', { initiator: 'https://www.example.net/' }))
+  assert.equal(blockedBy(instance, 'https://self.example.net/p', { initiator: 'https://news.test/' }), null)
+  // Sites under two-letter ccTLD suffixes
+  assert.equal(blockedBy(instance, 'https://tracker.example.com/p', { initiator: 'https://a.example.com/' }), null)
+  assert.equal(
+    blockedBy(blocker(['||a.example.co.uk^$third-party']), 'https://a.example.co.uk/', {
+      initiator: 'https://b.example.co.uk/',
+    }),
+    null
+  )
+})
+
+test('$domain= includes and excludes requesting pages', () => {
+  const instance = blocker([
+    '||ads.example.com^$domain=news.test|~sports.news.test',
+    '||cdn.example.com^$domain=~blog.test',
+  ])
+
+  assert.ok(blockedBy(instance, 'https://ads.example.com/a', { initiator: 'https://www.news.test/' }))
+  assert.equal(blockedBy(instance, 'https://ads.example.com/a', { initiator: 'https://sports.news.test/' }), null)
+  assert.equal(blockedBy(instance, 'https://ads.example.com/a', { initiator: 'https://other.test/' }), null)
+  assert.equal(blockedBy(instance, 'https://ads.example.com/a'), null)
+  assert.equal(blockedBy(instance, 'https://cdn.example.com/a', { initiator: 'https://blog.test/' }), null)
+  assert.ok(blockedBy(instance, 'https://cdn.example.com/a', { initiator: 'https://other.test/' }))
+
+  const entity = blocker(['||ads.example.com^$domain=news.*'])
+  assert.ok(blockedBy(entity, 'https://ads.example.com/a', { initiator: 'https://www.news.co.uk/' }))
+  assert.equal(blockedBy(entity, 'https://ads.example.com/a', { initiator: 'https://mynews.test/' }), null)
+})
+
+test('@@ exceptions allow requests unless the block is $important', () => {
+  const instance = blocker([
+    '||ads.example.com^',
+    '@@||ads.example.com/allowed/',
+    '||track.example.com^$important',
+    '@@||track.example.com^',
+  ])
+
+  assert.equal(blockedBy(instance, 'https://ads.example.com/allowed/a.js'), null)
+  assert.equal(blockedBy(instance, 'https://ads.example.com/other.js'), '||ads.example.com^')
+  assert.equal(blockedBy(instance, 'https://track.example.com/p'), '||track.example.com^$important')
+})
+
+test('@@ exceptions keep their own options', () => {
+  const instance = blocker(['||ads.example.com^', '@@||ads.example.com^$script,domain=news.test'])
+
+  assert.equal(
+    blockedBy(instance, 'https://ads.example.com/a.js', { destination: 'script', initiator: 'https://news.test/' }),
+    null
+  )
+  assert.ok(
+    blockedBy(instance, 'https://ads.example.com/a.png', { destination: 'image', initiator: 'https://news.test/' })
+  )
+  assert.ok(
+    blockedBy(instance, 'https://ads.example.com/a.js', { destination: 'script', initiator: 'https://other.test/' })
+  )
+})
+
+test('@@$document exceptions turn filtering off on a page', () => {
+  const instance = blocker(['||ads.example.com^', 'news.test##.ad', '@@||news.test^$document'])
+
+  assert.equal(blockedBy(instance, 'https://ads.example.com/a.js', { initiator: 'https://news.test/' }), null)
+  assert.ok(blockedBy(instance, 'https://ads.example.com/a.js', { initiator: 'https://other.test/' }))
+  assert.equal(instance.cosmetic('https://news.test/'), '')
+})
+
+test('element hiding rules apply to their domains', () => {
+  const instance = blocker(['news.test,~sports.news.test##.ad', 'example.*##.banner', '##.generic'])
+
+  assert.equal(instance.cosmetic('https://www.news.test/'), '.ad { display: none !important; }')
+  assert.equal(instance.cosmetic('https://sports.news.test/'), '')
+  assert.equal(instance.cosmetic('https://example.org/'), '.banner { display: none !important; }')
+  assert.equal(instance.cosmetic('https://www.example.co.uk/'), '.banner { display: none !important; }')
+  assert.equal(instance.cosmetic('https://myexample.org/'), '')
+  assert.equal(instance.cosmetic('https://other.test/'), '')
+})
+
+test('generic element hiding rules need genericHiding', () => {
+  const filters = ['##.generic', '~news.test##.other']
+
+  assert.equal(blocker(filters).cosmetic('https://site.test/'), '')
+  assert.equal(
+    blocker(filters, { genericHiding: true }).cosmetic('https://site.test/'),
+    '.generic { display: none !important; }\n.other { display: none !important; }'
+  )
+  assert.equal(
+    blocker(filters, { genericHiding: true }).cosmetic('https://news.test/'),
+    '.generic { display: none !important; }'
+  )
+})
+
+test('#@# exceptions unhide selectors', () => {
+  const instance = blocker(['news.test##.ad', 'news.test##.promo', 'sports.news.test#@#.ad', '#@#.promo'])
+
+  assert.equal(instance.cosmetic('https://www.news.test/'), '.ad { display: none !important; }')
+  assert.equal(instance.cosmetic('https://sports.news.test/'), '')
+})
+
+test('$elemhide and $generichide exceptions', () => {
+  const filters = [
+    'news.test##.ad',
+    '##.generic',
+    '@@||news.test^$elemhide',
+    '@@||blog.test^$generichide',
+    'blog.test##.ad',
+  ]
+  const instance = blocker(filters, { genericHiding: true })
+
+  assert.equal(instance.cosmetic('https://news.test/'), '')
+  assert.equal(instance.cosmetic('https://blog.test/'), '.ad { display: none !important; }')
+  assert.equal(instance.cosmetic('https://other.test/'), '.generic { display: none !important; }')
+})
+
+test('the allowlist and enabled: false turn the blocker off', () => {
+  const filters = ['||ads.example.com^', 'news.test##.ad']
+
+  const allowed = blocker(filters, { allowlist: ['news.test'] })
+  assert.equal(blockedBy(allowed, 'https://ads.example.com/a', { initiator: 'https://www.news.test/' }), null)
+  assert.equal(allowed.cosmetic('https://www.news.test/'), '')
+  assert.ok(blockedBy(allowed, 'https://ads.example.com/a', { initiator: 'https://other.test/' }))
+
+  const disabled = blocker(filters, { enabled: false })
+  assert.equal(blockedBy(disabled, 'https://ads.example.com/a'), null)
+  assert.equal(disabled.cosmetic('https://news.test/'), '')
+})
+
+test('only web requests are filtered', () => {
+  const instance = blocker(['ads'])
+
+  assert.ok(blockedBy(instance, 'https://example.com/ads'))
+  assert.ok(blockedBy(instance, 'wss://example.com/ads'))
+  assert.equal(blockedBy(instance, 'blob:https://example.com/ads'), null)
+  assert.equal(blockedBy(instance, 'data:text/plain,ads'), null)
+})
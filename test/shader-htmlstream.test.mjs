@@ -0,0 +1,92 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+globalThis.self = globalThis
+globalThis.location = new URL('https://proxy.test/')
+// Read by the bundle when it loads; Node 20 has neither
+globalThis.navigator ??= {}
+globalThis.WebSocket ??= class {}
+await import('../shader.bundle.mjs')
+const { ShaderHtmlStream } = await import('../shader-htmlstream.js')
+
+const { Vector } = self
+const PROXIED = 'https://proxy.test/calc/'
+
+/**
+ * Streams a document through ShaderHtmlStream one character per chunk.
+ */
+async function rewrite(html) {
+  const ctx = new Vector({ prefix: '/calc/', encodeUrl: Vector.codec.plain.encode, decodeUrl: Vector.codec.plain.decode })
+  ctx.meta.origin = location.origin
+  ctx.meta.base = ctx.meta.url = new URL('https://site.test/page')
+
+  const encoder = new TextEncoder()
+  const body = new ReadableStream({
+    start(controller) {
+      for (const char of html) controller.enqueue(encoder.encode(char))
+      controller.close()
+    },
+  })
+  return new Response(body.pipeThrough(new ShaderHtmlStream(ctx))).text()
+}
+
+/**
+ * The `src` attributes of the `<img>` tags in some HTML.
+ */
+function sources(html) {
+  return [...html.matchAll(/<img src="([^"]*)"/g)].map((match) => match[1])
+}
+
+test('raw text elements in SVG and MathML hold markup', async () => {
+  for (const html of [
+    '<svg><style><img src="/a"></style></svg>',
+    '<svg><title><img src="/a"></title></svg>',
+    '<math><mi><noscript></noscript></mi><textarea><img src="/a"></textarea></math>',
+  ]) {
+    assert.deepEqual(sources(await rewrite(html)), [PROXIED + encodeURIComponent('https://site.test/a')], html)
+  }
+})
+
+test('HTML integration points parse their content as HTML', async () => {
+  const html = await rewrite(
+    '<svg><foreignObject><style><img src="/a"></style></foreignObject><style><img src="/b"></style></svg>'
+  )
+  assert.deepEqual(sources(html), ['/a', PROXIED + encodeURIComponent('https://site.test/b')])
+
+  const annotation = await rewrite('<math><annotation-xml encoding="text/html"><style><img src="/a"></style>')
+  assert.deepEqual(sources(annotation), ['/a'])
+})
+
+test('breakout tags end SVG and MathML content', async () => {
+  for (const html of [
+    '<svg><img src="/x"><style><img src="/a"></style>',
+    '<math><p><style><img src="/a"></style>',
+    '<svg><font color="red"><style><img src="/a"></style>',
+    '<svg><g></br><style><img src="/a"></style>',
+  ]) {
+    assert.deepEqual(sources(await rewrite(html)).slice(-1), ['/a'], html)
+  }
+
+  const font = await rewrite('<svg><font><style><img src="/a"></style></svg><style><img src="/b"></style>')
+  assert.deepEqual(sources(font), [PROXIED + encodeURIComponent('https://site.test/a'), '/b'])
+})
+
+test('CDATA sections in SVG are not markup', async () => {
+  const html = '<svg><![CDATA[ a > b <img src="/a"> ]]></svg>'
+  assert.equal(await rewrite(html), html)
+})
+
+test('attribute values are decoded with the full entity table', async () => {
+  const html = await rewrite('<a href="?x=1&eacute;2&amp;y=&lt"><a href="?a=1&ampb=2&amp c">')
+  const hrefs = [...html.matchAll(/<a href="([^"]*)"/g)].map((match) => decodeURIComponent(match[1].slice(PROXIED.length)))
+
+  assert.deepEqual(hrefs, [
+    new URL('https://site.test/page?x=1é2&y=<').href,
+    new URL('https://site.test/page?a=1&ampb=2& c').href,
+  ])
+})
+
+test('attributes the hooks did not change keep their markup', async () => {
+  const html = '<div title="caf&eacute; &amp tea" data-x=&lt;b&gt;></div>'
+  assert.equal(await rewrite(html), html)
+})
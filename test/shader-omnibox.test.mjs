@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateKeyPairSync, sign } from 'node:crypto'
+
+globalThis.self = globalThis
+globalThis.window = globalThis
+const { ShaderOmnibox } = await import('../shader-omnibox.js')
+const { ShaderPolicy } = await import('../shader-policy.js')
+
+/**
+ * Loads a policy signed the way tools/sign-policy.mjs signs it.
+ */
+async function loadPolicy(document) {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' })
+  const payload = JSON.stringify(document)
+  const signature = sign('sha256', Buffer.from(payload), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+
+  globalThis.fetch = async () => Response.json({ payload, signature: signature.toString('base64') })
+  return new ShaderPolicy({ publicKey: { kty, crv, x, y } }).load()
+}
+
+/**
+ * Stubs BareMux, recording every URL fetched through it.
+ */
+function stubBareMux() {
+  const fetched = []
+  globalThis.BareMux = {
+    BareClient: class {
+      async fetch(url) {
+        fetched.push(url)
+        return Response.json(['q', ['first', 'second']])
+      }
+    },
+  }
+  return fetched
+}
+
+test('suggest URLs are fetched when the policy allows them', async () => {
+  const fetched = stubBareMux()
+  const policy = await loadPolicy({ version: 1, rules: [{ action: 'deny', host: 'blocked.example' }] })
+  const omnibox = new ShaderOmnibox({ suggestProvider: 'https://suggest.example/?q=%s', policy })
+
+  const suggestions = await omnibox._searchSuggestions('a b')
+
+  assert.deepEqual(fetched, ['https://suggest.example/?q=a%20b'])
+  assert.deepEqual(
+    suggestions.map((s) => s.title),
+    ['first', 'second']
+  )
+})
+
+test('suggest URLs denied by the policy are not fetched', async () => {
+  const fetched = stubBareMux()
+  const policy = await loadPolicy({ version: 1, rules: [{ action: 'deny', host: '*.example' }] })
+  const omnibox = new ShaderOmnibox({ suggestProvider: 'https://suggest.example/?q=%s', policy })
+
+  assert.deepEqual(await omnibox._searchSuggestions('query'), [])
+  assert.deepEqual(fetched, [])
+})
+
+test('without a policy option the configured policy is loaded and enforced', async () => {
+  const fetched = stubBareMux()
+  const { publicKey } = await loadPolicy({ version: 1, default: 'deny', rules: [] }).then((p) => p.options)
+  globalThis.__uv$config = { policy: { publicKey } }
+  try {
+    const omnibox = new ShaderOmnibox({ suggestProvider: 'https://suggest.example/?q=%s' })
+
+    assert.deepEqual(await omnibox._searchSuggestions('query'), [])
+    assert.deepEqual(fetched, [])
+  } finally {
+    delete globalThis.__uv$config
+  }
+})
@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateKeyPairSync, sign } from 'node:crypto'
+
+globalThis.self = globalThis
+const { ShaderPolicy } = await import('../shader-policy.js')
+
+/**
+ * Loads a policy signed the way tools/sign-policy.mjs signs it.
+ */
+async function loadPolicy(document) {
+  const { privateKey, publicKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' })
+  const payload = JSON.stringify(document)
+  const signature = sign('sha256', Buffer.from(payload), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+
+  globalThis.fetch = async () => Response.json({ payload, signature: signature.toString('base64') })
+  return new ShaderPolicy({ publicKey: { kty, crv, x, y } }).load()
+}
+
+test('host rules match hostnames with a trailing dot', async () => {
+  const policy = await loadPolicy({ version: 1, rules: [{ action: 'deny', host: '*.example.com' }] })
+
+  assert.equal(policy.error, null)
+  for (const url of ['https://example.com./', 'https://www.example.com./x', 'wss://example.com.:8443/socket']) {
+    assert.equal(policy.evaluate(url).allowed, false, url)
+  }
+  assert.equal(policy.evaluate('https://example.org./').allowed, true)
+})
+
+test('regex rules see the hostname without its trailing dot', async () => {
+  const policy = await loadPolicy({
+    version: 1,
+    default: 'deny',
+    rules: [{ action: 'allow', regex: '^https://docs\\.example\\.com/' }],
+  })
+
+  assert.equal(policy.evaluate('https://docs.example.com./guide').allowed, true)
+  assert.equal(policy.evaluate('https://other.example.com./').allowed, false)
+})
+
+test('normalize strips a single trailing dot', () => {
+  assert.equal(ShaderPolicy.normalize('https://Example.COM./a?b#c'), 'https://example.com/a?b#c')
+  assert.equal(ShaderPolicy.normalize(new URL('http://localhost.:8080/')), 'http://localhost:8080/')
+  assert.equal(ShaderPolicy.normalize('not a url'), 'not a url')
+})
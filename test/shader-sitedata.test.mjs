@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+globalThis.self = globalThis.window = globalThis
+globalThis.location = new URL('https://proxy.test/')
+// Read by the bundle when it loads; Node 20 has neither
+globalThis.navigator ??= {}
+globalThis.WebSocket ??= class {}
+await import('../shader.bundle.mjs')
+const { ShaderSiteData } = await import('../shader-sitedata.js')
+
+/**
+ * Imports cookies without writing them, returning the import result and the cookies it would store.
+ */
+async function importCookies(cookies, options) {
+  const sitedata = new ShaderSiteData()
+  const stored = []
+  sitedata._cookieTransaction = async (db, mode, fn) => fn({ put: (cookie) => stored.push(cookie) })
+  const result = await sitedata.importCookies(JSON.stringify(cookies), options)
+  return { ...result, stored }
+}
+
+test('cookies for a public suffix are not imported', async () => {
+  const { imported, skipped } = await importCookies([
+    { name: 'a', value: '1', domain: '.com' },
+    { name: 'b', value: '1', domain: 'co.uk' },
+    { name: 'c', value: '1', domain: '.example.com' },
+  ])
+
+  assert.equal(imported, 1)
+  assert.deepEqual(skipped, [
+    { name: 'a', reason: 'Cookie domain is a public suffix' },
+    { name: 'b', reason: 'Cookie domain is a public suffix' },
+  ])
+})
+
+test('host-only cookies keep their host', async () => {
+  const { stored } = await importCookies([{ name: 'a', value: '1', domain: 'example.com', hostOnly: true }])
+  assert.deepEqual(stored.map((cookie) => cookie.domain), ['example.com'])
+})
+
+test('cookies not sent to the given origin are not imported', async () => {
+  const { skipped } = await importCookies([{ name: 'a', value: '1', domain: '.example.com' }], {
+    origin: 'https://example.org',
+  })
+  assert.deepEqual(skipped, [{ name: 'a', reason: 'Cookie is not sent to example.org' }])
+})
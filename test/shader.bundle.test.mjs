@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+globalThis.self = globalThis
+globalThis.location = new URL('https://proxy.test/')
+// Read by the bundle when it loads; Node 20 has neither
+globalThis.navigator ??= {}
+globalThis.WebSocket ??= class {}
+await import('../shader.bundle.mjs')
+
+const { Vector } = self
+const { cookie } = new Vector({ prefix: '/calc/' })
+
+/**
+ * The domains of the cookies a set-cookie header may store for a URL.
+ */
+function domains(header, url) {
+  return cookie.parse(header, { url: new URL(url) }).map((stored) => stored.domain)
+}
+
+test('Domain attributes may not name a public suffix', () => {
+  assert.deepEqual(domains('a=1; Domain=com', 'https://example.com/'), [])
+  assert.deepEqual(domains('a=1; Domain=.com', 'https://www.example.com/'), [])
+  assert.deepEqual(domains('a=1; Domain=co.uk', 'https://shop.example.co.uk/'), [])
+})
+
+test('Domain attributes may name the registrable domain or a subdomain', () => {
+  assert.deepEqual(domains('a=1; Domain=example.com', 'https://www.example.com/'), ['.example.com'])
+  assert.deepEqual(domains('a=1; Domain=www.example.com', 'https://www.example.com/'), ['.www.example.com'])
+  assert.deepEqual(domains('a=1; Domain=example.co.uk', 'https://shop.example.co.uk/'), ['.example.co.uk'])
+  assert.deepEqual(domains('a=1; Domain=localhost', 'http://localhost/'), ['.localhost'])
+  assert.deepEqual(domains('a=1', 'https://example.com/'), ['example.com'])
+})
+
+test('Domain attributes must cover the host', () => {
+  assert.deepEqual(domains('a=1; Domain=other.com', 'https://example.com/'), [])
+})
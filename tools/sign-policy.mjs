@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Signs an administrator policy for shader-policy.js.
+ *
+ *   node tools/sign-policy.mjs --keygen policy-key.pem
+ *     Creates an ECDSA P-256 private key and prints the public JWK for `__uv$config.policy.publicKey`.
+ *
+ *   node tools/sign-policy.mjs policy-key.pem policy.json shader.policy.json
+ *     Signs policy.json (a ShaderPolicyDocument) and writes the signed file served next to shader.config.mjs.
+ */
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+
+const [command, ...args] = process.argv.slice(2)
+
+function publicJwk(privateKey) {
+  const { kty, crv, x, y } = createPublicKey(privateKey).export({ format: 'jwk' })
+  return { kty, crv, x, y }
+}
+
+if (command === '--keygen' && args.length === 1) {
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  writeFileSync(args[0], privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 })
+  console.log(JSON.stringify(publicJwk(privateKey)))
+} else if (command && args.length === 2) {
+  const privateKey = createPrivateKey(readFileSync(command))
+  // Parsed first so a broken policy is caught here, not by every client denying everything
+  const policy = JSON.parse(readFileSync(args[0], 'utf8'))
+  if (policy.version !== 1 || !Array.isArray(policy.rules)) throw new Error('The policy needs version 1 and rules')
+
+  const payload = JSON.stringify(policy)
+  // WebCrypto verifies raw r|s signatures, not DER
+  const signature = sign('sha256', Buffer.from(payload), { key: privateKey, dsaEncoding: 'ieee-p1363' })
+  writeFileSync(args[1], JSON.stringify({ payload, signature: signature.toString('base64') }, null, 2) + '\n')
+  console.log(`Signed ${policy.rules.length} rules to ${args[1]}`)
+} else {
+  console.error('Usage: sign-policy.mjs --keygen <key.pem> | sign-policy.mjs <key.pem> <policy.json> <output.json>')
+  process.exit(1)
+}
@@ -1493,8 +1493,10 @@ var opts = [
   "title_case_headers",
   "ws_title_case_headers",
   "wisp_ws_protocols",
+  "websocket_protocols",
   "redirect_limit",
   "header_limit",
+  "user_agent",
   "buffer_size"
 ];
 var EpoxyTransport = class {